@@ -1,5 +1,8 @@
 var _ = require('lodash');
-var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+var redisCommands = require('redis-commands');
+var fs = require('fs');
+var zlib = require('zlib');
 
 /**
  * Proxy that keeps redis values in a local memory cache.
@@ -22,12 +25,162 @@ function RedisMemcacheClient(redisClient, redisSubClient, options, cb) {
 
     var self = this;
 
+    options = options || {};
+
+    /**
+     * Redis channel on which dirty keys are exchanged with the other clients of this cache.
+     * @type {string}
+     */
+    var dirtyKeyChannel = options.channel || RedisMemcacheClient.DIRTY_KEY_CHANNEL;
+
+    /**
+     * How dirty keys are exchanged: 'pubsub' (fire-and-forget PUBLISH), 'stream' (appended to a Redis Stream) or
+     * 'tracking' (invalidations sent by the server using CLIENT TRACKING).
+     * @type {String}
+     */
+    var transport = options.transport || 'pubsub';
+    if (transport !== 'pubsub' && transport !== 'stream' && transport !== 'tracking') {
+        throw new Error('Unknown transport: ' + transport);
+    }
+
+    /**
+     * Tracking transport: 'default' (the server remembers the keys read by the main client) or 'bcast' (the server
+     * broadcasts all keys on the enabled cache paths).
+     * @type {String}
+     */
+    var trackingMode = options.trackingMode || 'default';
+    if (trackingMode !== 'default' && trackingMode !== 'bcast') {
+        throw new Error('Unknown tracking mode: ' + trackingMode);
+    }
+
+    /**
+     * If true, keys are also invalidated on keyspace notifications, so that writes that don't use this client are
+     * noticed as well. The notify-keyspace-events setting of the server must include them.
+     * @type {boolean}
+     */
+    var keyspaceNotifications = !!options.keyspaceNotifications;
+    if (keyspaceNotifications && transport !== 'pubsub') {
+        throw new Error('Keyspace notifications require the pubsub transport');
+    }
+
+    /**
+     * The paths that are warmed before the client is ready, and the warm-up options (see warm), or null.
+     * @type {Object}
+     */
+    var initialWarm = options.warm || null;
+    if (initialWarm && !(_.isPlainObject(initialWarm) && _.isArray(initialWarm.paths))) {
+        throw new Error('Invalid warm option: ' + initialWarm);
+    }
+
+    /**
+     * Keyspace notifications: the key prefixes of the subscribed channel patterns, or null if not yet subscribed.
+     * @type {String[]}
+     */
+    var keyspacePrefixes = null;
+
+    /**
+     * Tracking transport: the client id of the subscription client, to which invalidations are redirected.
+     * @type {Number}
+     */
+    var trackingRedirectId = null;
+
+    /**
+     * Tracking transport: the key prefixes for which tracking is enabled in bcast mode.
+     * @type {String[]}
+     */
+    var trackingPrefixes = null;
+
+    /**
+     * Stream transport: the key of the Redis Stream.
+     * @type {String}
+     */
+    var streamKey = options.streamKey || dirtyKeyChannel;
+
+    /**
+     * Stream transport: the approximate maximum number of entries kept in the stream.
+     * @type {Number}
+     */
+    var streamMaxLen = options.streamMaxLen || 10000;
+
+    /**
+     * Stream transport: the id of the last received stream entry.
+     * @type {String}
+     */
+    var lastStreamId = null;
+
+    /**
+     * Stream transport: the id of the last stream entry that was received before dirty keys may have been missed.
+     * @type {String}
+     */
+    var recoverStreamId = null;
+
+    /**
+     * False while dirty keys may be missed because the subscription client is disconnected, or because client tracking
+     * is not enabled yet. Reads then bypass the local cache.
+     * @type {boolean}
+     */
+    var dirtyKeysReceived = (transport !== 'tracking');
+
+    /**
+     * Emits cache events:
+     * - ready: the dirty key channel is subscribed to, and the paths of the warm option are warmed.
+     * - subscribeError (err): subscribing to the dirty key channel failed.
+     * - disconnect ({client: 'main'|'subscriber'}): a Redis connection was lost.
+     * - reconnect ({client: 'main'|'subscriber', flushed: boolean}): a Redis connection was restored and dirty keys
+     *   are received again. If dirty keys may have been missed, the local cache was flushed.
+     * - cachePath (rule): another client broadcast a cache path rule (as returned by exportCachePaths), or null if it
+     *   reset the cache paths.
+     * - hit ({key}) and miss ({key}): a read of a cached path was served from the local cache, or fetched from Redis.
+     * - set ({key, [fields]}): a value, or hash fields, were stored in the local cache.
+     * - invalidate ({key, origin: 'local'|'remote', [fields]}): a key or hash fields were invalidated by a write or
+     *   setDirty of this client, or by a dirty key from another client or the server.
+     * - evict ({key}): a key was evicted from the local cache to make room.
+     * - commandError (err): a command that was called without callback failed (see toPromise).
+     *
+     * This is a separate emitter because the EventEmitter methods of this client are proxied to the Redis client.
+     * @type {EventEmitter}
+     */
+    this.cacheEvents = new EventEmitter();
+
     /**
      * Specifies which keys are allowed.
      * @type {{a: boolean, c: {}, p: {object}}}
      */
     var enabledTree = {a: false, c: {}, p: null};
 
+    /**
+     * Cache path rules for the keys that match a regular expression: [{r: RegExp, a: boolean, o: Object}].
+     * These take precedence over the enabled tree, and later rules take precedence over earlier ones.
+     * @type {Object[]}
+     */
+    var regExpRules = [];
+
+    /**
+     * The resolved cache policies and entry groups of recently used keys, by key: {policy: Object, group: Object}.
+     * Resolving them for every read and write is slow, so they are kept until the cache path rules change.
+     * @type {Map}
+     */
+    var resolvedKeys = new Map();
+
+    /**
+     * Separates the path segments of keys.
+     * @type {String}
+     */
+    var separator = options.separator || ':';
+    if (!_.isString(separator)) {
+        throw new Error('Invalid separator: ' + separator);
+    }
+
+    /**
+     * Codecs that encode and decode values, by name (see registerCodec).
+     * @type {Object}
+     */
+    var codecs = {json: JSON_CODEC};
+    _.each(options.codecs, function(codec, name) {
+        validateCodec(name, codec);
+        codecs[name] = codec;
+    });
+
     /**
      * The cache, a hashmap containing all of the cached key-values.
      * @type {Object}
@@ -35,453 +188,3729 @@ function RedisMemcacheClient(redisClient, redisSubClient, options, cb) {
     var cache = {};
 
     /**
-     * JSON-parsed cache objects. These are also cached to speed things up.
+     * Decoded cache objects, per key: {codec: name, value: decoded}. These are also cached to speed things up.
+     * @type {Object}
+     */
+    var decodedCache = {};
+
+    /**
+     * Cached hash fields, per key: {fields: {field: value}, complete: boolean}.
+     * A null value means that the field does not exist. If complete, all fields of the hash are cached.
+     * @type {Object}
+     */
+    var hashCache = {};
+
+    /**
+     * Known expiry deadlines (unix timestamp in millis) of keys, also for keys that are not currently cached.
+     * @type {Object}
+     */
+    var expiries = {};
+
+    /**
+     * Timestamp of the last removal of passed expiry deadlines.
+     * @type {Number}
+     */
+    var lastExpiryPrune = Date.now();
+
+    /**
+     * Callbacks that wait for the values of keys which are currently being fetched, by key.
+     * Concurrent reads of a key on a cached path share a single fetch.
+     * @type {Object}
+     */
+    var keysBeingFetched = {};
+
+    /**
+     * Fetches from Redis that are in progress, by key: {count: number, generation: number}.
+     * The generation is incremented whenever the cached key is changed or invalidated, so that a fetch that was started
+     * before that never puts its (possibly older) value in cache.
+     * @type {Object}
+     */
+    var pendingFetches = {};
+
+    /**
+     * Cache statistics: the counters of STAT_COUNTERS, and the latency histogram of the Redis round trips of misses.
+     * @type {Object}
+     */
+    var stats = createStats();
+
+    /**
+     * Cache statistics per top-level path of the enabled tree, see getStatsPath.
      * @type {Object}
      */
-    var jsonCache = {};
+    var pathStats = {};
+
+    /**
+     * Maximum number of cached keys, or 0 for unlimited.
+     * @type {Number}
+     */
+    var maxEntries = options.maxEntries || 0;
+
+    /**
+     * Maximum estimated size of the cached keys and values in bytes, or 0 for unlimited.
+     * @type {Number}
+     */
+    var maxBytes = options.maxBytes || 0;
+
+    /**
+     * The eviction policy: 'lru' (least recently used) or 'lfu' (least frequently used).
+     * @type {String}
+     */
+    var evictionPolicy = options.evictionPolicy || 'lru';
+    if (evictionPolicy !== 'lru' && evictionPolicy !== 'lfu') {
+        throw new Error('Unknown eviction policy: ' + evictionPolicy);
+    }
+
+    /**
+     * Usage info ({size: number, freq: number, time: number}) per cached key.
+     * For LRU, the iteration order is from least to most recently used.
+     * @type {Map}
+     */
+    var entries = new Map();
+
+    /**
+     * The usage info of cached keys, per cache path rule that limits the number of entries of its subtree (see the
+     * maxEntries cache policy). For LRU, the iteration order is from least to most recently used.
+     * @type {Map}
+     */
+    var groupEntries = new Map();
+
+    /**
+     * LFU only: the cached keys grouped by access frequency, each in least to most recently used order.
+     * @type {Map}
+     */
+    var freqBuckets = new Map();
 
     /**
-     * Keys which are currently being downloaded
-     * @type {Array}
+     * LFU only: the lowest access frequency in use.
+     * @type {Number}
      */
-    var commandBeingDownloaded = {};
+    var minFreq = 0;
 
     /**
-     * Cache statistics.
-     * @type {{hits: number, misses: number, recvDirty: number}}
+     * The estimated size in bytes of all cached keys and values.
+     * @type {Number}
      */
-    var stats = {hits: 0, misses: 0, recvDirty: 0};
+    var cacheBytes = 0;
 
     /**
      * Enables caching on the specified path.
-     * @param {String[]} path
-     * @param {boolean} enable
+     * @param {String[]|String|RegExp} path
+     *   The path segments, or a string that is split by the separator. A '*' or '{name}' segment matches any single
+     *   segment. A RegExp matches the complete key, and takes precedence over the other paths.
+     * @param {boolean|Object} enable
+     *   Either a boolean, or the cache policy of the path. Policy settings that are not specified are inherited from
+     *   less specific paths.
+     * @param {boolean} [enable.enabled]
+     * @param {Number} [enable.softTtl]
+     *   After this many millis, a cached value is still returned, but refreshed from Redis in the background.
+     * @param {Number} [enable.hardTtl]
+     *   After this many millis, a cached value is no longer returned, but fetched from Redis again.
+     * @param {Number} [enable.maxEntries]
+     *   Maximum number of cached keys in the subtree of the path, or 0 for unlimited.
+     * @param {boolean} [enable.json]
+     *   Default of the json read option. The same as the 'json' codec.
+     * @param {String} [enable.codec]
+     *   Default of the codec read option. Objects written with SET or MSET are encoded with this codec.
+     * @param {boolean} [enable.byRef]
+     *   Default of the byRef read option.
+     * @param {boolean} [enable.compress]
+     *   If true, large values are compressed in the local cache.
      */
     this.setCachePath = function(path, enable) {
-        var treeItem = getEnabledTreeItem(path, true);
-        treeItem.a = enable;
+        applyCachePath(path, enable);
+        cachePathsChanged();
+    };
+
+    /**
+     * Sets the rule of the specified cache path, without updating the server-side invalidation.
+     * @param {String[]|String|RegExp} path
+     * @param {boolean|Object} enable
+     */
+    var applyCachePath = function(path, enable) {
+        resolvedKeys.clear();
+        var rule = getCachePathRule(path);
+        if (_.isPlainObject(enable)) {
+            _.each(enable, function(value, name) {
+                if (name === 'enabled') {
+                    rule.a = !!value;
+                } else {
+                    validatePolicySetting(name, value);
+                    rule.o = rule.o || {};
+                    rule.o[name] = value;
+                }
+            });
+        } else {
+            rule.a = enable;
+        }
     };
 
     /**
      * Resets the cache paths to 'disable all'.
      */
     this.resetCachePaths = function() {
-        enabledTree = {a: false, c: {}, p: null};
+        clearCachePaths();
+        cachePathsChanged();
     };
 
     /**
-     * Returns true if the cache is enabled for the specified path.
-     * @param {String[]} path
-     * @returns {Boolean}
+     * Removes all cache path rules, without updating the server-side invalidation.
      */
-    this.pathIsEnabled = function(path) {
-        var treeItem = getEnabledTreeItem(path, false);
-        while (!treeItem.hasOwnProperty('a')) {
-            treeItem = treeItem.p;
-        }
-        return treeItem.a;
+    var clearCachePaths = function() {
+        resolvedKeys.clear();
+        enabledTree = {a: false, c: {}, p: null};
+        regExpRules = [];
     };
 
     /**
-     * Returns the item in the enabled tree for the specified path.
-     * Branches are automatically created if they do not yet exist.
-     * @param path
-     * @param create
-     *   If true, the tree is automatically created up to the specified item.
-     *   Otherwise, the deepest parent item is returned.
+     * Removes the cached keys that are no longer on an enabled path.
      */
-    var getEnabledTreeItem = function(path, create) {
-        return traverseTree(enabledTree, path, create);
+    var purgeDisabledKeys = function() {
+        _.each(_.union(_.keys(cache), _.keys(hashCache)), function(key) {
+            if (!isCacheableKey(key)) {
+                delCache(key);
+            }
+        });
     };
 
     /**
-     * Returns the item in the enabled tree for the specified path.
-     * @param item
-     * @param remainingPath
-     * @param create
-     *   If true, the tree is automatically created up to the specified item.
-     *   Otherwise, the deepest parent item is returned.
-     * @return {Object}
+     * Sets the cache path like setCachePath, and broadcasts the change to all clients on the dirty key channel, so
+     * that caching can be toggled in all processes at runtime.
+     * The change is not persisted: clients that start later, or that miss the message, keep their own cache paths.
+     * @param {String[]|String|RegExp} path
+     * @param {boolean|Object} enable
+     * @param [cb]
+     *   Called when the change has been sent, or with an error if the rule is invalid. If not specified, a promise is
+     *   returned.
+     * @return {Promise|undefined}
      */
-    var traverseTree = function(item, remainingPath, create) {
-        if (!remainingPath.length) {
-            // Done traversing.
-            return item;
+    this.broadcastCachePath = function(path, enable, cb) {
+        if (!_.isFunction(cb)) {
+            return toPromise(function(cb) {
+                self.broadcastCachePath(path, enable, cb);
+            });
         }
 
-        var p = remainingPath.shift();
-        if (!item.c.hasOwnProperty(p)) {
-            if (!create) {
-                // Return the deepest known parent.
-                return item;
+        var rule = _.isPlainObject(enable) ? _.clone(enable) : {enabled: enable};
+        if (_.isRegExp(path)) {
+            rule.regexp = path.source;
+            if (path.flags) {
+                rule.flags = path.flags;
             }
+        } else {
+            rule.path = _.isString(path) ? path.split(separator) : path;
+        }
 
-            // Create new item.
-            item.c[p] = {c: {}, p: item};
+        var problems = validateCachePaths([rule]);
+        if (problems.length) {
+            return cb(new Error('Invalid cache path: ' + problems.join('; ')));
         }
-        return traverseTree(item.c[p], remainingPath, create);
+
+        self.setCachePath(path, enable);
+        sendDirtyKeyMessage("\tP\t" + JSON.stringify(rule), cb);
     };
 
     /**
-     * Returns parsed json object.
-     * @param str
+     * Resets the cache paths to 'disable all' in all clients, see broadcastCachePath.
+     * @param [cb]
+     *   Called when the reset has been sent. If not specified, a promise is returned.
+     * @return {Promise|undefined}
      */
-    var getJson = function(str) {
-        try {
-            return JSON.parse(str);
-        } catch(e) {
-            return null;
+    this.broadcastResetCachePaths = function(cb) {
+        if (!_.isFunction(cb)) {
+            return toPromise(function(cb) {
+                self.broadcastResetCachePaths(cb);
+            });
         }
+
+        self.resetCachePaths();
+        sendDirtyKeyMessage("\tR", cb);
     };
 
     /**
-     * Returns the value from cache.
-     * @param key
-     * @param json
-     *   JSON-parsed?
-     * @param jsonByRef
-     *   Return by ref or clone?
+     * Applies a cache path rule that was broadcast by another client.
+     * @param {String} json
      */
-    var getCache = function(key, json, jsonByRef) {
-        if (json) {
-            if (!jsonCache.hasOwnProperty(key)) {
-                jsonCache[key] = getJson(cache[key]);
-            }
-            return (jsonByRef ? jsonCache[key] : _.cloneDeep(jsonCache[key]));
+    var receiveCachePath = function(json) {
+        var rule = getJson(json);
+        if (validateCachePaths([rule]).length) {
+            // Not sent by a compatible client.
+            return;
         }
-        return cache[key];
-    };
 
-    /**
-     * Sets the value in cache.
-     * @param key
-     * @param value
-     */
-    var setCache = function(key, value) {
-        cache[key] = value;
-        delete jsonCache[key];
+        self.setCachePath(getImportedPath(rule), _.omit(rule, ['path', 'regexp', 'flags']));
+        self.cacheEvents.emit('cachePath', rule);
     };
 
     /**
-     * Deletes the value from cache.
-     * @param key
+     * Returns the cache path rules as a JSON-serializable array, which can be passed to importCachePaths.
+     * Paths are returned as arrays of segments (with '*' for wildcards), followed by the RegExp rules in order.
+     * @return {Object[]}
+     *   Rules like {path: ['key1', '*'], enabled: true, softTtl: 5000} or {regexp: ':tmp-', enabled: false}.
      */
-    var delCache = function(key) {
-        delete cache[key];
-        delete jsonCache[key];
+    this.exportCachePaths = function() {
+        var rules = [];
+        var collect = function(item, path) {
+            if (item.hasOwnProperty('a') || item.o) {
+                rules.push(exportRule(item, {path: path}));
+            }
+            _.each(item.c, function(child, p) {
+                collect(child, path.concat(p));
+            });
+        };
+        collect(enabledTree, []);
+
+        _.each(regExpRules, function(rule) {
+            var exported = {regexp: rule.r.source};
+            if (rule.r.flags) {
+                exported.flags = rule.r.flags;
+            }
+            rules.push(exportRule(rule, exported));
+        });
+        return rules;
     };
 
     /**
-     * Invalidates the cached value for the specified key.
-     * @param key
+     * Adds the settings of the rule to the exported rule.
+     * @param {Object} rule
+     * @param {Object} exported
+     * @return {Object}
      */
-    this.setDirty = function(key) {
-        delCache(key);
+    var exportRule = function(rule, exported) {
+        if (rule.hasOwnProperty('a')) {
+            exported.enabled = rule.a;
+        }
+        return _.assign(exported, rule.o);
     };
 
     /**
-     * Returns if the specified key can be fetched from cache (exists and is not dirty).
-     * @param key
+     * Replaces all cache path rules by the specified rules, as returned by exportCachePaths.
+     * The rules are validated first: if any are invalid, conflicting (the same path with different values for a
+     * setting) or unreachable (they can't match any key, or have no settings), an error listing all of them is thrown
+     * and the current rules are kept.
+     * @param {Object[]} rules
+     *   Rules with either a path (a string or an array of segments, as accepted by setCachePath) or a regexp (the
+     *   source, with optional flags), and the cache policy settings like 'enabled'.
      */
-    this.isCached = function(key) {
-        return (key in cache);
+    this.importCachePaths = function(rules) {
+        var problems = validateCachePaths(rules);
+        if (problems.length) {
+            var err = new Error('Invalid cache paths: ' + problems.join('; '));
+            err.problems = problems;
+            throw err;
+        }
+
+        clearCachePaths();
+        _.each(rules, function(rule) {
+            applyCachePath(getImportedPath(rule), _.omit(rule, ['path', 'regexp', 'flags']));
+        });
+        cachePathsChanged();
     };
 
     /**
-     * Flag to indicate that this redis client is capable of converting to json.
-     * @type {boolean}
+     * Returns the path or RegExp of an imported rule.
+     * @param {Object} rule
+     * @return {String[]|String|RegExp}
      */
-    this.jsonSupport = true;
+    var getImportedPath = function(rule) {
+        return rule.hasOwnProperty('regexp') ? new RegExp(rule.regexp, rule.flags) : rule.path;
+    };
 
     /**
-     * Wraps the callback (last argument) in the arguments.
-     * @param {String[]} args
-     * @param func
-     * @param [funcCtx]
+     * Returns the problems of imported cache path rules.
+     * @param {Object[]} rules
+     * @return {String[]}
      */
-    var wrapArgsCb = function(args, func, funcCtx) {
-        var cb = args.length ? args[args.length - 1] : null;
-        if (!_.isFunction(cb)) {
-            cb = null;
+    var validateCachePaths = function(rules) {
+        if (!_.isArray(rules)) {
+            return ['the cache paths must be an array of rules'];
         }
 
-        var newCb = function(err) {
-            var rv = func.apply(funcCtx || self, arguments);
-            if (rv !== false) {
-                // Post-redis-function does not handle cb.
-                if (cb) {
-                    cb.apply(redisClient, arguments);
+        var problems = [];
+        var settingsByPath = {};
+        _.each(rules, function(rule, i) {
+            var name = 'rule ' + i;
+            if (!_.isPlainObject(rule) || rule.hasOwnProperty('path') === rule.hasOwnProperty('regexp')) {
+                problems.push(name + ': either a path or a regexp must be specified');
+                return;
+            }
+
+            var pathKey;
+            if (rule.hasOwnProperty('regexp')) {
+                try {
+                    pathKey = String(getCachePathRegExp(getImportedPath(rule)));
+                } catch (e) {
+                    problems.push(name + ': ' + e.message);
+                    return;
+                }
+            } else {
+                var path = _.isString(rule.path) ? rule.path.split(separator) : rule.path;
+                if (!_.isArray(path) || !_.every(path, _.isString)) {
+                    problems.push(name + ': the path must be a string or an array of strings');
+                    return;
                 }
+                path = normalizePath(path);
+                if (_.some(path, function(p) {
+                    return p.indexOf(separator) !== -1;
+                })) {
+                    problems.push(name + ': unreachable, a path segment contains the separator');
+                }
+                pathKey = JSON.stringify(path);
             }
-        };
+            name += ' (' + pathKey + ')';
 
-        // Set or add new callback.
-        if (cb) {
-            args[args.length - 1] = newCb;
-        } else {
-            args.push(newCb);
-        }
+            var settings = _.omit(rule, ['path', 'regexp', 'flags']);
+            if (_.isEmpty(settings)) {
+                problems.push(name + ': unreachable, no settings are specified');
+            }
+            var pathSettings = settingsByPath[pathKey] = settingsByPath[pathKey] || {};
+            _.each(settings, function(value, setting) {
+                try {
+                    if (setting === 'enabled') {
+                        if (!_.isBoolean(value)) {
+                            throw new Error('Invalid enabled: ' + value);
+                        }
+                    } else {
+                        validatePolicySetting(setting, value);
+                    }
+                } catch (e) {
+                    problems.push(name + ': ' + e.message);
+                    return;
+                }
+                if (pathSettings.hasOwnProperty(setting) && pathSettings[setting] !== value) {
+                    problems.push(name + ': conflicting ' + setting + ', also set to ' + pathSettings[setting]);
+                }
+                pathSettings[setting] = value;
+            });
+        });
+        return problems;
     };
 
-    this.getRedisClient = function() {
-        return redisClient;
-    }
-
     /**
-     * Redis GET method.
-     * @param key
-     * @param [cb]
-     * @param {boolean} [json]
-     *   If true, returns as parsed json.
-     * @param {boolean} [jsonByRef]
-     *   If true, json object is not cloned before sending.
-     *   This improves performance, but make sure you don't change the object because it will affect the cached version!
+     * Updates the server-side invalidation after the enabled cache paths have changed.
      */
-    this.get = function(key, cb, json, jsonByRef) {
-        var args = Array.prototype.slice.apply(arguments);
-        if (args.length > 2) {
-            // Remove json argument for further argument handling.
-            args = args.slice(0, 2);
+    var cachePathsChanged = function() {
+        resolvedKeys.clear();
+        purgeDisabledKeys();
+        regroupEntries();
+        updateTrackingPrefixes();
+        updateKeyspacePatterns();
+    };
+
+    /**
+     * Returns true if the cache is enabled for the specified path.
+     * @param {String[]} path
+     * @returns {Boolean}
+     */
+    this.pathIsEnabled = function(path) {
+        return getPathPolicy(path).enabled;
+    };
+
+    /**
+     * Returns the cache policy for the specified path.
+     * Each setting is taken from the most specific rule that specifies it.
+     * @param {String[]} path
+     * @returns {{enabled: boolean, softTtl: Number, hardTtl: Number}}
+     */
+    var getPathPolicy = function(path) {
+        return getRulesPolicy(getMatchingRules(path));
+    };
+
+    /**
+     * Returns the cache policy of the matching rules, from most to least specific.
+     * @param {Object[]} rules
+     * @returns {Object}
+     */
+    var getRulesPolicy = function(rules) {
+        var policy = {};
+        _.each(rules, function(rule) {
+            if (!policy.hasOwnProperty('enabled') && rule.hasOwnProperty('a')) {
+                policy.enabled = rule.a;
+            }
+            _.each(rule.o, function(value, name) {
+                if (!policy.hasOwnProperty(name)) {
+                    policy[name] = value;
+                }
+            });
+        });
+        return policy;
+    };
+
+    /**
+     * Returns the cache policy for the specified key.
+     * @param {String|Buffer} key
+     * @returns {Object}
+     */
+    var getKeyPolicy = function(key) {
+        return resolveKey(key).policy;
+    };
+
+    /**
+     * Returns the cache policy and entry group of the key, which are kept in resolvedKeys.
+     * The returned objects are shared, so they must not be changed.
+     * @param {String|Buffer} key
+     *   Buffer keys (as used with the detect_buffers option) are resolved as strings.
+     * @returns {{policy: Object, group: Object}}
+     */
+    var resolveKey = function(key) {
+        key = String(key);
+        var resolved = resolvedKeys.get(key);
+        if (!resolved) {
+            var rules = getMatchingRules(key.split(separator));
+            var group = _.find(rules, function(rule) {
+                return rule.o && rule.o.hasOwnProperty('maxEntries');
+            });
+            resolved = {policy: getRulesPolicy(rules), group: (group && group.o.maxEntries) ? group : null};
+            if (resolvedKeys.size >= MAX_RESOLVED_KEYS) {
+                resolvedKeys.clear();
+            }
+            resolvedKeys.set(key, resolved);
+        }
+        return resolved;
+    };
+
+    /**
+     * Returns the rules that match the path, from most to least specific: first the matching RegExp rules (latest
+     * first), then the matching items of the enabled tree. Deeper items are more specific, and of items with the same
+     * depth the one that has a literal segment where the other has a wildcard, first from the left, is more specific.
+     * @param {String[]} path
+     * @return {Object[]}
+     */
+    var getMatchingRules = function(path) {
+        var key = path.join(separator);
+        var rules = _.filter(regExpRules, function(rule) {
+            return rule.r.test(key);
+        }).reverse();
+
+        var matches = [];
+        var collect = function(item, depth, literals) {
+            matches.push({item: item, depth: depth, literals: literals});
+            if (depth < path.length) {
+                var p = path[depth];
+                if (p !== WILDCARD_SEGMENT && item.c.hasOwnProperty(p)) {
+                    collect(item.c[p], depth + 1, literals + '1');
+                }
+                if (item.c.hasOwnProperty(WILDCARD_SEGMENT)) {
+                    collect(item.c[WILDCARD_SEGMENT], depth + 1, literals + '0');
+                }
+            }
+        };
+        collect(enabledTree, 0, '');
+        matches.sort(function(m1, m2) {
+            if (m1.depth !== m2.depth) {
+                return m2.depth - m1.depth;
+            }
+            return m1.literals === m2.literals ? 0 : (m1.literals > m2.literals ? -1 : 1);
+        });
+        return rules.concat(_.map(matches, 'item'));
+    };
+
+    /**
+     * Returns the rule for the specified cache path, which is created if it does not yet exist.
+     * @param {String[]|String|RegExp} path
+     * @return {Object}
+     */
+    var getCachePathRule = function(path) {
+        if (_.isRegExp(path)) {
+            var regExp = getCachePathRegExp(path);
+            var rule = _.find(regExpRules, function(rule) {
+                return String(rule.r) === String(regExp);
+            });
+            if (!rule) {
+                rule = {r: regExp};
+                regExpRules.push(rule);
+            }
+            return rule;
+        }
+        if (_.isString(path)) {
+            path = path.split(separator);
+        }
+        return getEnabledTreeItem(normalizePath(path), true);
+    };
+
+    /**
+     * Returns the RegExp of a cache path rule, without the global and sticky flags so that test() does not depend on
+     * the previous match.
+     * @param {RegExp} regExp
+     * @return {RegExp}
+     */
+    var getCachePathRegExp = function(regExp) {
+        return new RegExp(regExp.source, regExp.flags.replace(/[gy]/g, ''));
+    };
+
+    /**
+     * Returns the path with the wildcard segments ('*' and '{name}') replaced by the wildcard key of the enabled tree.
+     * @param {String[]} path
+     * @return {String[]}
+     */
+    var normalizePath = function(path) {
+        return _.map(path, function(p) {
+            return (p === '*' || /^\{[^{}]*\}$/.test(p)) ? WILDCARD_SEGMENT : p;
+        });
+    };
+
+    /**
+     * Throws an error if the cache policy setting is invalid.
+     * @param {String} name
+     * @param value
+     */
+    var validatePolicySetting = function(name, value) {
+        if (!POLICY_SETTINGS.hasOwnProperty(name)) {
+            throw new Error('Unknown cache policy setting: ' + name);
+        }
+        var type = POLICY_SETTINGS[name];
+        if (value !== null && !(typeof value === type && (type !== 'number' || value >= 0))) {
+            throw new Error('Invalid ' + name + ': ' + value);
+        }
+        if (name === 'codec' && value !== null && !codecs.hasOwnProperty(value)) {
+            throw new Error('Unknown codec: ' + value);
+        }
+    };
+
+    /**
+     * Returns the item in the enabled tree for the specified path.
+     * Branches are automatically created if they do not yet exist.
+     * @param path
+     * @param create
+     *   If true, the tree is automatically created up to the specified item.
+     *   Otherwise, the deepest parent item is returned.
+     */
+    var getEnabledTreeItem = function(path, create) {
+        return traverseTree(enabledTree, path, create);
+    };
+
+    /**
+     * Returns the item in the enabled tree for the specified path.
+     * @param item
+     * @param remainingPath
+     * @param create
+     *   If true, the tree is automatically created up to the specified item.
+     *   Otherwise, the deepest parent item is returned.
+     * @return {Object}
+     */
+    var traverseTree = function(item, remainingPath, create) {
+        if (!remainingPath.length) {
+            // Done traversing.
+            return item;
+        }
+
+        var p = remainingPath.shift();
+        if (!item.c.hasOwnProperty(p)) {
+            if (!create) {
+                // Return the deepest known parent.
+                return item;
+            }
+
+            // Create new item.
+            item.c[p] = {c: {}, p: item};
+        }
+        return traverseTree(item.c[p], remainingPath, create);
+    };
+
+    /**
+     * Returns the value of the key decoded with the codec, and counts the decode in the statistics.
+     * @param key
+     * @param {String} codec
+     * @param value
+     *   The encoded value, or null if the key does not exist.
+     */
+    var decodeValue = function(key, codec, value) {
+        countStat('decodes', key);
+        if (codec === 'json') {
+            countStat('jsonParses', key);
+        }
+        if (value === null || value === undefined) {
+            return null;
+        }
+        try {
+            return codecs[codec].decode(value);
+        } catch(e) {
+            return null;
+        }
+    };
+
+    /**
+     * Returns the value of SET or MSET encoded with the codec of the cache policy of the key. Strings, numbers and
+     * buffers are written as is.
+     * @param key
+     * @param value
+     */
+    var encodeValue = function(key, value) {
+        if (_.isString(value) || _.isNumber(value) || Buffer.isBuffer(value) || value === null || value === undefined) {
+            return value;
+        }
+        var codec = getPolicyCodec(getKeyPolicy(String(key)));
+        return codec ? codecs[codec].encode(value) : value;
+    };
+
+    /**
+     * Returns the arguments of the write command with the values encoded, see encodeValue.
+     * @param {String} command
+     * @param {Array} args
+     * @return {Array}
+     */
+    var encodeWriteArgs = function(command, args) {
+        command = String(command).toLowerCase();
+        if (command === 'set' && args.length > 1) {
+            return [args[0], encodeValue(args[0], args[1])].concat(args.slice(2));
+        }
+        if (command === 'mset' || command === 'msetnx') {
+            var cb = _.isFunction(_.last(args)) ? _.last(args) : undefined;
+            var pairs = _.isArray(args[0]) ? args[0] : (cb ? _.initial(args) : args);
+            pairs = _.map(pairs, function(arg, i) {
+                return i % 2 ? encodeValue(pairs[i - 1], arg) : arg;
+            });
+            return cb ? pairs.concat([cb]) : pairs;
+        }
+        return args;
+    };
+
+    /**
+     * Returns the commands of MULTI or BATCH with the values encoded, see encodeValue.
+     * @param {Array[]} [commands]
+     * @return {Array[]|undefined}
+     */
+    var encodeCommands = function(commands) {
+        return commands && _.map(commands, function(command) {
+            return [command[0]].concat(encodeWriteArgs(command[0], command.slice(1)));
+        });
+    };
+
+    /**
+     * Returns the name of the codec of the cache policy, or null.
+     * @param {Object} policy
+     * @return {String|null}
+     */
+    var getPolicyCodec = function(policy) {
+        if (policy.codec !== undefined && policy.codec !== null) {
+            return policy.codec;
+        }
+        return policy.json ? 'json' : null;
+    };
+
+    /**
+     * Registers a codec, which can then be used in cache policies and the codec read option.
+     * @param {String} name
+     * @param {Object} codec
+     * @param {Function} codec.encode
+     *   Returns the value as a string or buffer.
+     * @param {Function} codec.decode
+     *   Returns the value of a string or buffer. Invalid values may throw, and are returned as null.
+     */
+    this.registerCodec = function(name, codec) {
+        validateCodec(name, codec);
+        codecs[name] = codec;
+    };
+
+    /**
+     * Returns parsed json object.
+     * @param str
+     */
+    var getJson = function(str) {
+        try {
+            return JSON.parse(str);
+        } catch(e) {
+            return null;
+        }
+    };
+
+    /**
+     * Returns the estimated memory usage of a cache entry.
+     * @param key
+     * @param value
+     * @return {Number}
+     */
+    var getEntrySize = function(key, value) {
+        var size = Buffer.byteLength(key);
+        if (Buffer.isBuffer(value)) {
+            size += value.length;
+        } else if (value instanceof CompressedValue) {
+            size += value.buffer.length;
+        } else if (_.isString(value)) {
+            size += Buffer.byteLength(value);
+        }
+        return size;
+    };
+
+    /**
+     * Adds the key to the LFU frequency bucket of the entry.
+     * @param key
+     * @param entry
+     */
+    var addToFreqBucket = function(key, entry) {
+        var bucket = freqBuckets.get(entry.freq);
+        if (!bucket) {
+            bucket = new Map();
+            freqBuckets.set(entry.freq, bucket);
+        }
+        bucket.set(key, entry);
+    };
+
+    /**
+     * Removes the key from the LFU frequency bucket of the entry.
+     * @param key
+     * @param entry
+     */
+    var removeFromFreqBucket = function(key, entry) {
+        var bucket = freqBuckets.get(entry.freq);
+        bucket.delete(key);
+        if (!bucket.size) {
+            freqBuckets.delete(entry.freq);
+            if (minFreq === entry.freq) {
+                // Find the next lowest frequency.
+                minFreq = 0;
+                freqBuckets.forEach(function(bucket, freq) {
+                    if (!minFreq || freq < minFreq) {
+                        minFreq = freq;
+                    }
+                });
+            }
+        }
+    };
+
+    /**
+     * Registers an access of the cached key for the eviction policy.
+     * @param key
+     */
+    var touchEntry = function(key) {
+        var entry = entries.get(key);
+        if (!entry) {
+            return;
+        }
+
+        if (evictionPolicy === 'lfu') {
+            removeFromFreqBucket(key, entry);
+            entry.freq++;
+            addToFreqBucket(key, entry);
+            if (!minFreq || entry.freq < minFreq) {
+                minFreq = entry.freq;
+            }
+        } else {
+            // Move to the most recently used position.
+            entries.delete(key);
+            entries.set(key, entry);
+            if (entry.group) {
+                var group = groupEntries.get(entry.group);
+                group.delete(key);
+                group.set(key, entry);
+            }
+        }
+    };
+
+    /**
+     * Starts tracking the usage of the cached key.
+     * @param key
+     * @param size
+     * @param freq
+     */
+    var trackEntry = function(key, size, freq) {
+        var entry = {size: size, freq: freq, time: Date.now(), group: getEntryGroup(key)};
+        entries.set(key, entry);
+        addToGroup(key, entry);
+        cacheBytes += size;
+        if (evictionPolicy === 'lfu') {
+            addToFreqBucket(key, entry);
+            if (!minFreq || freq < minFreq) {
+                minFreq = freq;
+            }
+        }
+    };
+
+    /**
+     * Stops tracking the usage of the cached key.
+     * @param key
+     * @return {Object}
+     *   The usage info of the key, if it was tracked.
+     */
+    var untrackEntry = function(key) {
+        var entry = entries.get(key);
+        if (entry) {
+            entries.delete(key);
+            removeFromGroup(key, entry);
+            cacheBytes -= entry.size;
+            if (evictionPolicy === 'lfu') {
+                removeFromFreqBucket(key, entry);
+            }
+        }
+        return entry;
+    };
+
+    /**
+     * Returns the cache path rule that limits the number of entries for the key, if any.
+     * @param key
+     * @return {Object}
+     */
+    var getEntryGroup = function(key) {
+        return resolveKey(key).group;
+    };
+
+    /**
+     * Adds the usage info of the key to its group, if any.
+     * @param key
+     * @param entry
+     */
+    var addToGroup = function(key, entry) {
+        if (entry.group) {
+            var group = groupEntries.get(entry.group);
+            if (!group) {
+                group = new Map();
+                groupEntries.set(entry.group, group);
+            }
+            group.set(key, entry);
+        }
+    };
+
+    /**
+     * Removes the usage info of the key from its group, if any.
+     * @param key
+     * @param entry
+     */
+    var removeFromGroup = function(key, entry) {
+        var group = entry.group && groupEntries.get(entry.group);
+        if (group) {
+            group.delete(key);
+            if (!group.size) {
+                groupEntries.delete(entry.group);
+            }
+        }
+    };
+
+    /**
+     * Assigns the cached keys to their groups again after the cache policies have changed, and evicts the keys that no
+     * longer fit.
+     */
+    var regroupEntries = function() {
+        groupEntries.clear();
+        entries.forEach(function(entry, key) {
+            entry.group = getEntryGroup(key);
+            addToGroup(key, entry);
+        });
+
+        groupEntries.forEach(function(group, rule) {
+            while (group.size > rule.o.maxEntries) {
+                evictKey(getGroupEvictionCandidate(group));
+            }
+        });
+    };
+
+    /**
+     * Returns the key of the group that should be evicted first according to the eviction policy.
+     * @param {Map} group
+     * @return {String}
+     */
+    var getGroupEvictionCandidate = function(group) {
+        if (evictionPolicy === 'lfu') {
+            var candidate = null;
+            var candidateFreq = 0;
+            group.forEach(function(entry, key) {
+                if (candidate === null || entry.freq < candidateFreq) {
+                    candidate = key;
+                    candidateFreq = entry.freq;
+                }
+            });
+            return candidate;
+        }
+        return group.keys().next().value;
+    };
+
+    /**
+     * Evicts cached keys of the group of the key until another entry fits within the maxEntries policy.
+     * @param key
+     */
+    var evictGroupEntries = function(key) {
+        var rule = getEntryGroup(key);
+        var group = rule && groupEntries.get(rule);
+        while (group && group.size >= rule.o.maxEntries) {
+            evictKey(getGroupEvictionCandidate(group));
+            group = groupEntries.get(rule);
+        }
+    };
+
+    /**
+     * Removes the key from cache to make room for other keys.
+     * @param key
+     */
+    var evictKey = function(key) {
+        delCache(key);
+        countStat('evictions', key);
+        emitKeyEvent('evict', key);
+    };
+
+    /**
+     * Returns the key that should be evicted first according to the eviction policy.
+     * @return {String}
+     */
+    var getEvictionCandidate = function() {
+        if (evictionPolicy === 'lfu') {
+            return freqBuckets.get(minFreq).keys().next().value;
+        }
+        return entries.keys().next().value;
+    };
+
+    /**
+     * Evicts cached keys until an entry of the specified size fits within the limits.
+     * @param size
+     */
+    var evictEntries = function(size) {
+        while (entries.size &&
+            ((maxEntries && entries.size >= maxEntries) || (maxBytes && cacheBytes + size > maxBytes))) {
+            evictKey(getEvictionCandidate());
+        }
+    };
+
+    /**
+     * Returns the value from cache.
+     * @param key
+     * @param {String|null} codec
+     *   Name of the codec to decode with, if any.
+     * @param byRef
+     *   Return the decoded object by ref or clone?
+     */
+    var getCache = function(key, codec, byRef) {
+        touchEntry(key);
+        if (codec) {
+            var decoded = decodedCache[key];
+            if (!decoded || decoded.codec !== codec) {
+                var value = getCacheValue(key);
+                decoded = decodedCache[key] = {codec: codec, value: decodeValue(key, codec, value)};
+                var entry = entries.get(key);
+                if (entry) {
+                    entry.decodedSize = getEntrySize(key, value);
+                }
+            }
+            return (byRef ? decoded.value : _.cloneDeep(decoded.value));
+        }
+        return getCacheValue(key);
+    };
+
+    /**
+     * Returns the cached value, decompressed if needed.
+     * @param key
+     */
+    var getCacheValue = function(key) {
+        var value = cache[key];
+        if (value instanceof CompressedValue) {
+            return zlib.inflateRawSync(value.buffer).toString();
+        }
+        return value;
+    };
+
+    /**
+     * Returns the known expiry deadline of the key.
+     * @param key
+     * @return {Number}
+     *   Null if the key does not expire.
+     */
+    var getExpiry = function(key) {
+        return expiries.hasOwnProperty(key) ? expiries[key] : null;
+    };
+
+    /**
+     * Sets the expiry deadline of the key.
+     * @param key
+     * @param {Number} deadline
+     *   Null if the key does not expire.
+     */
+    var setExpiry = function(key, deadline) {
+        if (deadline) {
+            expiries[key] = deadline;
+        } else {
+            delete expiries[key];
+        }
+        pruneExpiries();
+    };
+
+    /**
+     * Removes passed deadlines of keys that are no longer cached, at most once a minute.
+     */
+    var pruneExpiries = function() {
+        var now = Date.now();
+        if (now - lastExpiryPrune < 60000) {
+            return;
+        }
+        lastExpiryPrune = now;
+        _.each(_.keys(expiries), function(key) {
+            if (expiries[key] <= now && !(key in cache)) {
+                delete expiries[key];
+            }
+        });
+    };
+
+    /**
+     * Sets the value in cache.
+     * @param key
+     * @param value
+     * @param {Number} [deadline]
+     *   The new expiry deadline of the key, or null if the key does not expire.
+     *   If undefined, the known expiry deadline is kept.
+     */
+    var setCache = function(key, value, deadline) {
+        invalidateFetches(key);
+        if (deadline !== undefined) {
+            setExpiry(key, deadline);
+        }
+
+        if (writeInvalidatesOnly) {
+            delCache(key);
+            emitKeyEvent('invalidate', key, {origin: 'local'});
+            return;
+        }
+
+        var entry = untrackEntry(key);
+        delete cache[key];
+        delete decodedCache[key];
+        delete hashCache[key];
+
+        if (_.isString(value) && Buffer.byteLength(value) >= COMPRESSION_MIN_BYTES &&
+            getKeyPolicy(key).compress) {
+            value = new CompressedValue(zlib.deflateRawSync(value));
+        }
+
+        var size = getEntrySize(key, value);
+        if (maxBytes && size > maxBytes) {
+            // Too large to ever fit in cache.
+            return;
+        }
+
+        evictEntries(size);
+        evictGroupEntries(key);
+        cache[key] = value;
+        trackEntry(key, size, entry ? entry.freq + 1 : 1);
+        emitKeyEvent('set', key);
+    };
+
+    /**
+     * Deletes the value from cache.
+     * @param key
+     */
+    var delCache = function(key) {
+        invalidateFetches(key);
+        untrackEntry(key);
+        delete cache[key];
+        delete decodedCache[key];
+        delete hashCache[key];
+    };
+
+    /**
+     * Returns the cached hash, if any.
+     * @param key
+     * @return {{fields: Object, complete: boolean}}
+     */
+    var getHashCache = function(key) {
+        if (!hashCache.hasOwnProperty(key) || hasExpired(key)) {
+            return null;
+        }
+        touchEntry(key);
+        return hashCache[key];
+    };
+
+    /**
+     * Sets the hash fields in cache.
+     * @param key
+     * @param {Object} fields
+     *   Field values. A null value means that the field does not exist.
+     * @param {boolean} complete
+     *   If true, the fields replace all cached fields of the hash.
+     */
+    var setHashCache = function(key, fields, complete) {
+        invalidateFetches(key);
+        if (writeInvalidatesOnly) {
+            delHashCache(key, _.keys(fields));
+            emitKeyEvent('invalidate', key, {origin: 'local', fields: _.keys(fields)});
+            return;
+        }
+
+        var hash = (!complete && hashCache[key]) || {fields: {}, complete: false};
+        var entry = untrackEntry(key);
+        delete cache[key];
+        delete decodedCache[key];
+        delete hashCache[key];
+
+        _.extend(hash.fields, fields);
+        hash.complete = hash.complete || complete;
+
+        var size = Buffer.byteLength(key);
+        _.each(hash.fields, function(value, field) {
+            size += getEntrySize(field, value);
+        });
+        if (maxBytes && size > maxBytes) {
+            // Too large to ever fit in cache.
+            return;
+        }
+
+        evictEntries(size);
+        evictGroupEntries(key);
+        hashCache[key] = hash;
+        trackEntry(key, size, entry ? entry.freq + 1 : 1);
+        emitKeyEvent('set', key, {fields: _.keys(fields)});
+    };
+
+    /**
+     * Removes the hash fields from cache, so that they are fetched again.
+     * @param key
+     * @param {String[]} fields
+     */
+    var delHashCache = function(key, fields) {
+        invalidateFetches(key);
+        var hash = hashCache[key];
+        if (hash) {
+            _.each(fields, function(field) {
+                delete hash.fields[field];
+            });
+            hash.complete = false;
+        }
+    };
+
+    /**
+     * Registers a fetch of the key from Redis.
+     * @param key
+     * @return {Number}
+     *   The generation of the key, to be passed to finishFetch.
+     */
+    var startFetch = function(key) {
+        if (!pendingFetches.hasOwnProperty(key)) {
+            pendingFetches[key] = {count: 0, generation: 0};
+        }
+        pendingFetches[key].count++;
+        return pendingFetches[key].generation;
+    };
+
+    /**
+     * Unregisters a fetch of the key from Redis.
+     * @param key
+     * @param {Number} generation
+     *   The generation returned by startFetch.
+     * @return {boolean}
+     *   True if the fetched value may be cached: the key was not changed or invalidated while it was being fetched.
+     */
+    var finishFetch = function(key, generation) {
+        var fetch = pendingFetches[key];
+        if (--fetch.count === 0) {
+            delete pendingFetches[key];
+        }
+        return fetch.generation === generation;
+    };
+
+    /**
+     * Marks the values of fetches of the key that are in progress as outdated, so that later reads don't wait for them.
+     * @param key
+     */
+    var invalidateFetches = function(key) {
+        if (!cachingFetchedValue && pendingFetches.hasOwnProperty(key)) {
+            pendingFetches[key].generation++;
+            delete keysBeingFetched[key];
+        }
+    };
+
+    /**
+     * True while caching a fetched value.
+     * @type {boolean}
+     */
+    var cachingFetchedValue = false;
+
+    /**
+     * Runs the function that caches a fetched value.
+     * Other fetches of the key are not marked as outdated: they were sent later, so their values are at least as
+     * recent.
+     * @param func
+     */
+    var cacheFetchedValue = function(func) {
+        cachingFetchedValue = true;
+        try {
+            func();
+        } finally {
+            cachingFetchedValue = false;
+        }
+    };
+
+    /**
+     * Updates the cached value after a successful write, and publishes the key if anything changed.
+     * @param key
+     * @param value
+     * @param {Number} [deadline]
+     *   See setCache.
+     */
+    var updateCache = function(key, value, deadline) {
+        var changed = !self.isCached(key) || (getCache(key, false) !== value) ||
+            (deadline !== undefined && deadline !== getExpiry(key));
+        if (changed) {
+            setCache(key, value, deadline);
+            publishDirtyKey(key, deadline);
+        }
+    };
+
+    /**
+     * Removes the key from cache after a write with an unknown result, and publishes it as dirty.
+     * @param key
+     * @param {Number} [deadline]
+     *   See setCache.
+     */
+    var invalidateKey = function(key, deadline) {
+        delCache(key);
+        emitKeyEvent('invalidate', key, {origin: 'local'});
+        if (deadline !== undefined) {
+            setExpiry(key, deadline);
+        }
+        publishDirtyKey(key, deadline);
+    };
+
+    /**
+     * Returns the value that was fetched from Redis, from cache if it could be cached.
+     * @param key
+     * @param value
+     *   The fetched value.
+     * @param {String|null} codec
+     *   Name of the codec to decode with, if any.
+     * @param byRef
+     *   Return the decoded object by ref or clone?
+     */
+    var getFetchedValue = function(key, value, codec, byRef) {
+        if (key in cache) {
+            return getCache(key, codec, byRef);
+        }
+        return codec ? decodeValue(key, codec, value) : value;
+    };
+
+    /**
+     * Removes all keys from the local cache.
+     */
+    this.flushCache = function() {
+        _.each(pendingFetches, function(fetch) {
+            fetch.generation++;
+        });
+        keysBeingFetched = {};
+        cache = {};
+        decodedCache = {};
+        hashCache = {};
+        entries.clear();
+        groupEntries.clear();
+        freqBuckets.clear();
+        minFreq = 0;
+        cacheBytes = 0;
+    };
+
+    /**
+     * Invalidates the cached value for the specified key.
+     * @param key
+     */
+    this.setDirty = function(key) {
+        delCache(key);
+        emitKeyEvent('invalidate', key, {origin: 'local'});
+    };
+
+    /**
+     * Returns if the specified key can be fetched from cache (exists and is not dirty).
+     * @param key
+     */
+    this.isCached = function(key) {
+        return (key in cache) && !hasExpired(key);
+    };
+
+    /**
+     * Returns true if the expiry deadline of the key has passed, in which case it is removed from cache.
+     * @param key
+     * @return {Boolean}
+     */
+    var hasExpired = function(key) {
+        if (expiries.hasOwnProperty(key) && expiries[key] <= Date.now()) {
+            // The key no longer exists in Redis.
+            delCache(key);
+            delete expiries[key];
+            return true;
+        }
+        return false;
+    };
+
+    /**
+     * Returns true if the key is a string on a path that has caching enabled.
+     * @param key
+     * @return {Boolean}
+     */
+    var isCacheableKey = function(key) {
+        return _.isString(key) && getKeyPolicy(key).enabled;
+    };
+
+    /**
+     * Flag to indicate that this redis client is capable of converting to json.
+     * @type {boolean}
+     */
+    this.jsonSupport = true;
+
+    /**
+     * Wraps the callback (last argument) in the arguments.
+     * @param {String[]} args
+     * @param func
+     * @param [funcCtx]
+     */
+    var wrapArgsCb = function(args, func, funcCtx) {
+        var cb = args.length ? args[args.length - 1] : null;
+        if (!_.isFunction(cb)) {
+            cb = null;
+        }
+
+        var newCb = function(err) {
+            var rv = func.apply(funcCtx || self, arguments);
+            if (rv !== false) {
+                // Post-redis-function does not handle cb.
+                if (cb) {
+                    cb.apply(redisClient, arguments);
+                }
+            }
+        };
+
+        // Set or add new callback.
+        if (cb) {
+            args[args.length - 1] = newCb;
+        } else {
+            args.push(newCb);
+        }
+    };
+
+    /**
+     * Returns true if the last argument is a callback.
+     * @param {Array} args
+     * @return {Boolean}
+     */
+    var hasCallback = function(args) {
+        return args.length > 0 && _.isFunction(args[args.length - 1]);
+    };
+
+    /**
+     * Returns a promise for the result of func, which is called with a node-style callback.
+     * @param func
+     * @return {Promise}
+     */
+    var toPromise = function(func) {
+        var promise = new Promise(function(resolve, reject) {
+            func(function(err, res) {
+                if (err) {
+                    return reject(err);
+                }
+                resolve(res);
+            });
+        });
+
+        // Errors are not discarded: an ignored promise causes an unhandled rejection, unless the errors are handled by
+        // listening to commandError. Awaiting the promise still throws the error.
+        if (self.cacheEvents.listenerCount('commandError')) {
+            promise.catch(function(err) {
+                self.cacheEvents.emit('commandError', err);
+            });
+        }
+
+        return promise;
+    };
+
+    /**
+     * Wraps a method that takes a callback as last argument, so that it returns a promise when called without callback.
+     * @param method
+     * @return {Function}
+     */
+    var withPromise = function(method) {
+        return function() {
+            var args = Array.prototype.slice.apply(arguments);
+            if (hasCallback(args)) {
+                return method.apply(self, args);
+            }
+
+            // Ignore trailing undefined arguments (such as an undefined callback).
+            args = _.dropRightWhile(args, _.isUndefined);
+            return toPromise(function(cb) {
+                method.apply(self, args.concat([cb]));
+            });
+        };
+    };
+
+    this.getRedisClient = function() {
+        return redisClient;
+    }
+
+    /**
+     * Returns the normalized arguments of GET and MGET.
+     * Supports both (key, [options], [cb]) and (key, [cb], [json], [jsonByRef]).
+     * @param args
+     * @return {{cb: Function, options: Object}}
+     */
+    var getReadArgs = function(args) {
+        if (_.isPlainObject(args[1])) {
+            return {cb: args[2], options: args[1]};
+        }
+
+        var options = {};
+        if (args[2] !== undefined) {
+            options.json = !!args[2];
+        }
+        if (args[3] !== undefined) {
+            options.byRef = !!args[3];
+        }
+        return {cb: args[1], options: options};
+    };
+
+    /**
+     * Returns the byRef read option, which defaults to the cache policy of the key.
+     * @param {Object} options
+     * @param {Object} policy
+     * @param {String} name
+     * @return {boolean}
+     */
+    var getReadOption = function(options, policy, name) {
+        return !!(options[name] !== undefined ? options[name] : policy[name]);
+    };
+
+    /**
+     * Returns the name of the codec to decode with, from the codec or json read option, which default to the cache
+     * policy of the key. Returns null if the value is not decoded.
+     * @param {Object} options
+     * @param {Object} policy
+     * @return {String|null}
+     */
+    var getReadCodec = function(options, policy) {
+        if (options.codec !== undefined) {
+            return options.codec || null;
+        }
+        if (options.json !== undefined) {
+            return options.json ? 'json' : null;
+        }
+        return getPolicyCodec(policy);
+    };
+
+    /**
+     * Returns true if the key is cached, was cached at most maxStaleMs ago and has not passed the hard TTL.
+     * @param key
+     * @param policy
+     *   The cache policy of the key.
+     * @param {Number} [maxStaleMs]
+     * @return {Boolean}
+     */
+    var isCachedWithin = function(key, policy, maxStaleMs) {
+        if (!self.isCached(key)) {
+            return false;
+        }
+        var age = Date.now() - entries.get(key).time;
+        return (maxStaleMs === undefined || age <= maxStaleMs) && !(_.isNumber(policy.hardTtl) && age > policy.hardTtl);
+    };
+
+    /**
+     * Returns true if the cached key has passed the soft TTL, so that it should be refreshed.
+     * @param key
+     * @param policy
+     *   The cache policy of the key.
+     * @return {Boolean}
+     */
+    var isPastSoftTtl = function(key, policy) {
+        return _.isNumber(policy.softTtl) && (Date.now() - entries.get(key).time > policy.softTtl);
+    };
+
+    /**
+     * Fetches the keys from Redis in the background to refresh their cached values, unless already being fetched.
+     * @param {String[]} keys
+     */
+    var refreshKeys = function(keys) {
+        keys = _.uniq(_.reject(keys, function(key) {
+            return keysBeingFetched.hasOwnProperty(key);
+        }));
+        if (!keys.length) {
+            return;
+        }
+
+        _.each(keys, function(key) {
+            countStat('refreshes', key);
+        });
+        // On errors, the cached values are kept until their hard TTL.
+        fetchKeys(keys.length === 1 ? 'get' : 'mget', keys, _.map(keys, _.constant(true)), _.noop);
+    };
+
+    /**
+     * Redis GET method.
+     *
+     * Can be called as get(key, [options], [cb]) or get(key, [cb], [json], [jsonByRef]).
+     *
+     * @param key
+     * @param {Object} [options]
+     * @param {boolean} [options.json]
+     *   If true, returns as parsed json. The same as the 'json' codec.
+     * @param {String|boolean} [options.codec]
+     *   The name of the codec to decode the value with, or false to return the raw value.
+     * @param {boolean} [options.byRef]
+     *   If true, the decoded object is not cloned before sending.
+     *   This improves performance, but make sure you don't change the object because it will affect the cached version!
+     * @param {boolean} [options.bypassCache]
+     *   If true, the value is fetched from Redis without reading or updating the local cache.
+     * @param {Number} [options.maxStaleMs]
+     *   If specified, the cached value is only used if it was cached at most this many millis ago.
+     * @param [cb]
+     *   If not specified, a promise is returned.
+     * @return {Promise|undefined}
+     */
+    this.get = function(key) {
+        var readArgs = getReadArgs(arguments);
+        var cb = readArgs.cb;
+        var options = readArgs.options;
+        if (!_.isFunction(cb)) {
+            return toPromise(function(cb) {
+                self.get(key, options, cb);
+            });
+        }
+
+        var policy = getKeyPolicy(key);
+        var codec = getReadCodec(options, policy);
+        if (codec && !codecs.hasOwnProperty(codec)) {
+            return cb(new Error('Unknown codec: ' + codec));
+        }
+        var byRef = getReadOption(options, policy, 'byRef');
+        var args = [key, cb];
+
+        // Buffer keys are not cached, as their values are replied as buffers with the detect_buffers option.
+        if (!options.bypassCache && dirtyKeysReceived && policy.enabled && _.isString(key)) {
+            // Check if in cache.
+            if (isCachedWithin(key, policy, options.maxStaleMs)) {
+                // Return from cache.
+                countStat('hits', key);
+                var value = getCache(key, codec, byRef);
+                if (isPastSoftTtl(key, policy)) {
+                    refreshKeys([key]);
+                }
+                if (cb) {
+                    cb(null, value);
+                }
+                return;
+            } else {
+                fetchKeys('get', [key], [true], function(err, res) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    countStat('misses', key);
+                    cb(null, getFetchedValue(key, res[0], codec, byRef));
+                });
+                return;
+            }
+        } else {
+            if (codec) {
+                wrapArgsCb(args, function(err, res) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    if (cb) {
+                        cb(null, decodeValue(key, codec, res));
+                    }
+                    return false;
+                });
+            }
+        }
+
+        // Just use Redis get.
+        return redisClient.get.apply(redisClient, args);
+    };
+
+    /**
+     * Redis MGET method.
+     *
+     * Can be called as mget(keys, [options], [cb]) or mget(keys, [cb], [json], [jsonByRef]).
+     *
+     * @param keys
+     * @param {Object} [options]
+     *   See get.
+     * @param [cb]
+     *   If not specified, a promise is returned.
+     * @return {Promise|undefined}
+     */
+    this.mget = function(keys) {
+        var readArgs = getReadArgs(arguments);
+        var cb = readArgs.cb;
+        var options = readArgs.options;
+        if (!_.isFunction(cb)) {
+            return toPromise(function(cb) {
+                self.mget(keys, options, cb);
+            });
+        }
+
+        if (options.codec && !codecs.hasOwnProperty(options.codec)) {
+            return cb(new Error('Unknown codec: ' + options.codec));
+        }
+
+        var values = new Array(keys.length);
+        var policies = new Array(keys.length);
+        var fromRedis = [];
+        var cacheable = [];
+        var refresh = [];
+        _.each(keys, function(key, i) {
+            var policy = policies[i] = getKeyPolicy(key);
+            var useCache = !options.bypassCache && dirtyKeysReceived && policy.enabled && _.isString(key);
+            if (useCache && isCachedWithin(key, policy, options.maxStaleMs)) {
+                // Get from cache.
+                countStat('hits', key);
+                values[i] = getCache(key, getReadCodec(options, policy), getReadOption(options, policy, 'byRef'));
+                if (isPastSoftTtl(key, policy)) {
+                    refresh.push(key);
+                }
+            } else {
+                fromRedis.push(i);
+                cacheable.push(useCache);
+            }
+        });
+
+        refreshKeys(refresh);
+
+        if (!fromRedis.length) {
+            return cb(null, values);
+        }
+
+        var fetched = _.map(fromRedis, function(i) {
+            return keys[i];
+        });
+        fetchKeys('mget', fetched, cacheable, function(err, res) {
+            if (err) {
+                return cb(err);
+            }
+
+            _.each(fromRedis, function(index, i) {
+                var codec = getReadCodec(options, policies[index]);
+                if (cacheable[i]) {
+                    countStat('misses', fetched[i]);
+                    var byRef = getReadOption(options, policies[index], 'byRef');
+                    values[index] = getFetchedValue(fetched[i], res[i], codec, byRef);
+                } else {
+                    values[index] = codec ? decodeValue(fetched[i], codec, res[i]) : res[i];
+                }
+            });
+            cb(null, values);
+        });
+    };
+
+    /**
+     * Fetches the values of the keys from Redis, and caches those on cached paths.
+     *
+     * Cacheable keys that are already being fetched are not requested again, but wait for the pending fetch. Other keys
+     * are always requested, without caching their values.
+     *
+     * @param {String} command
+     *   'get' for a single key, or 'mget'.
+     * @param {String[]} keys
+     * @param {boolean[]} cacheable
+     *   Per key, whether it may be cached.
+     * @param cb
+     *   Called with the values in the order of the keys.
+     */
+    var fetchKeys = function(command, keys, cacheable, cb) {
+        var values = new Array(keys.length);
+        var remaining = keys.length;
+        var failed = false;
+        var fetches = [];
+
+        _.each(keys, function(key, i) {
+            var receive = function(err, value) {
+                if (failed) {
+                    return;
+                }
+                if (err) {
+                    failed = true;
+                    return cb(err);
+                }
+
+                values[i] = value;
+                if (--remaining === 0) {
+                    cb(null, values);
+                }
+            };
+
+            if (cacheable[i] && keysBeingFetched.hasOwnProperty(key)) {
+                keysBeingFetched[key].push(receive);
+                return;
+            }
+
+            var fetch = {key: key, receivers: [receive], shared: cacheable[i]};
+            if (fetch.shared) {
+                keysBeingFetched[key] = fetch.receivers;
+                fetch.generation = startFetch(key);
+            }
+            fetches.push(fetch);
+        });
+
+        if (!fetches.length) {
+            return;
+        }
+
+        var started = process.hrtime();
+        var done = function(err, res, deadlines) {
+            if (!err) {
+                recordMissLatency(_.map(_.filter(fetches, 'shared'), 'key'), started);
+            }
+            _.each(fetches, function(fetch, i) {
+                if (fetch.shared) {
+                    if (keysBeingFetched[fetch.key] === fetch.receivers) {
+                        delete keysBeingFetched[fetch.key];
+                    }
+                    if (finishFetch(fetch.key, fetch.generation) && !err && dirtyKeysReceived) {
+                        cacheFetchedValue(function() {
+                            setCache(fetch.key, res[i], deadlines.get(fetch.key));
+                        });
+                    }
+                }
+            });
+
+            _.each(fetches, function(fetch, i) {
+                _.each(fetch.receivers, function(receive) {
+                    receive(err, err ? null : res[i]);
+                });
+            });
+        };
+
+        var fetchedKeys = _.map(fetches, 'key');
+        readWithDeadlines(function(cb) {
+            if (command === 'get') {
+                redisClient.get(fetchedKeys[0], function(err, res) {
+                    cb(err, [res]);
+                });
+            } else {
+                redisClient.mget(fetchedKeys, cb);
+            }
+        }, _.map(_.filter(fetches, 'shared'), 'key'), done);
+    };
+
+    /**
+     * Sends the command that reads the values, followed by a PTTL for every key without a known expiry deadline. Those
+     * keys may have been given an expiry before this client received dirty keys. The PTTLs are pipelined with the
+     * command, so they don't add a round trip.
+     * @param {Function} read
+     *   Sends the command, and calls its callback with the reply.
+     * @param {String[]} keys
+     *   The keys whose values may be cached.
+     * @param cb
+     *   Called with the reply, and a Map with the deadlines of the requested keys: a timestamp, or null if the key does
+     *   not expire.
+     */
+    var readWithDeadlines = function(read, keys, cb) {
+        var ttlKeys = _.filter(_.uniq(keys), function(key) {
+            return !expiries.hasOwnProperty(key);
+        });
+        var reply;
+        var deadlines = new Map();
+        var remaining = 1 + ttlKeys.length;
+        var failed = false;
+        var received = function(err) {
+            if (failed) {
+                return;
+            }
+            if (err) {
+                failed = true;
+                return cb(err);
+            }
+            if (--remaining === 0) {
+                cb(null, reply, deadlines);
+            }
+        };
+
+        read(function(err, res) {
+            reply = res;
+            received(err);
+        });
+        _.each(ttlKeys, function(key) {
+            redisClient.pttl(key, function(err, ttl) {
+                if (!err) {
+                    deadlines.set(key, ttl >= 0 ? Date.now() + ttl : null);
+                }
+                received(err);
+            });
+        });
+    };
+
+    /**
+     * Preloads the local cache with the string keys under the path, so that the first reads after a start don't miss.
+     * The keys are found with SCAN and fetched with batched MGETs. Only keys on enabled cache paths are cached.
+     * @param {String[]|String|RegExp} path
+     *   As accepted by setCachePath: a path with optional wildcard segments, or a RegExp that matches the keys.
+     * @param {Object} [options]
+     * @param {Number} [options.count]
+     *   The COUNT hint of SCAN. Default 1000.
+     * @param {Number} [options.batchSize]
+     *   The maximum number of keys per MGET. Default 100.
+     * @param {Number} [options.concurrency]
+     *   The maximum number of MGETs in progress at the same time. Default 4.
+     * @param {Function} [options.progress]
+     *   Called with {scanned: number, loaded: number} after each MGET.
+     * @param [cb]
+     *   Called with {scanned: number, loaded: number} when done. If not specified, a promise is returned.
+     * @return {Promise|undefined}
+     */
+    this.warm = function(path, options, cb) {
+        if (_.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
+        if (!_.isFunction(cb)) {
+            return toPromise(function(cb) {
+                self.warm(path, options, cb);
+            });
+        }
+
+        var pattern;
+        var matches;
+        if (_.isRegExp(path)) {
+            var regExp = getCachePathRegExp(path);
+            pattern = '*';
+            matches = function(key) {
+                return regExp.test(key);
+            };
+        } else {
+            var segments = normalizePath(_.isString(path) ? path.split(separator) : path);
+            pattern = _.map(segments, function(p) {
+                return (p === WILDCARD_SEGMENT) ? '*' : escapeGlobPattern(p);
+            }).join(separator) + '*';
+            matches = function(key) {
+                var keySegments = key.split(separator);
+                return keySegments.length >= segments.length && _.every(segments, function(p, i) {
+                    return p === WILDCARD_SEGMENT || p === keySegments[i];
+                });
+            };
+        }
+
+        var progress = {scanned: 0, loaded: 0};
+        var scan = function(cursor) {
+            redisClient.scan(cursor, 'MATCH', pattern, 'COUNT', options.count || 1000, function(err, res) {
+                if (err) {
+                    return cb(err);
+                }
+
+                progress.scanned += res[1].length;
+                var keys = _.filter(_.uniq(res[1]), function(key) {
+                    return matches(key) && isCacheableKey(key) && !(key in cache);
+                });
+                preloadKeys(keys, options, progress, function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    if (String(res[0]) === '0') {
+                        return cb(null, progress);
+                    }
+                    scan(res[0]);
+                });
+            });
+        };
+        scan('0');
+    };
+
+    /**
+     * Fetches the keys with batched MGETs, and caches the existing values.
+     * @param {String[]} keys
+     * @param {Object} options
+     *   The batchSize, concurrency and progress options of warm.
+     * @param {Object} progress
+     *   Its loaded count is incremented for every cached key, and it is passed to the progress option after every MGET.
+     * @param cb
+     */
+    var preloadKeys = function(keys, options, progress, cb) {
+        var batches = _.chunk(keys, options.batchSize || 100);
+        var concurrency = options.concurrency || 4;
+
+        // Fetches the keys of a batch.
+        var loadBatch = function(keys, cb) {
+            var generations = _.map(keys, function(key) {
+                return startFetch(key);
+            });
+            readWithDeadlines(function(cb) {
+                redisClient.mget(keys, cb);
+            }, keys, function(err, res, deadlines) {
+                _.each(keys, function(key, i) {
+                    if (finishFetch(key, generations[i]) && !err && dirtyKeysReceived && res[i] !== null) {
+                        cacheFetchedValue(function() {
+                            setCache(key, res[i], deadlines.get(key));
+                        });
+                        progress.loaded++;
+                    }
+                });
+                if (err) {
+                    return cb(err);
+                }
+
+                if (options.progress) {
+                    options.progress(_.clone(progress));
+                }
+                cb();
+            });
+        };
+
+        // Loads the batches, at most the concurrency at the same time.
+        var running = 0;
+        var failed = false;
+        var next = function() {
+            if (!batches.length && !running) {
+                return cb();
+            }
+            while (running < concurrency && batches.length) {
+                running++;
+                loadBatch(batches.shift(), function(err) {
+                    running--;
+                    if (failed) {
+                        return;
+                    }
+                    if (err) {
+                        failed = true;
+                        return cb(err);
+                    }
+                    next();
+                });
+            }
+        };
+        next();
+    };
+
+    /**
+     * Saves the cached string values to a file (gzipped JSON), so that they can be restored by loadSnapshot after a
+     * restart. With the stream transport, the position in the dirty key stream is saved as well.
+     * @param {String} file
+     * @param [cb]
+     *   Called with {entries: number} when the file has been written. If not specified, a promise is returned.
+     * @return {Promise|undefined}
+     */
+    this.saveSnapshot = function(file, cb) {
+        if (!_.isFunction(cb)) {
+            return toPromise(function(cb) {
+                self.saveSnapshot(file, cb);
+            });
+        }
+
+        var now = Date.now();
+        var snapshot = {
+            version: SNAPSHOT_VERSION,
+            time: now,
+            // The cached values are only known to be up to date at this position if no dirty keys were missed.
+            streamId: (transport === 'stream' && dirtyKeysReceived) ? lastStreamId : null,
+            entries: []
+        };
+
+        // From least to most recently used, so that the order is kept when restoring.
+        entries.forEach(function(entry, key) {
+            var expiry = getExpiry(key);
+            if (!cache.hasOwnProperty(key) || (expiry && expiry <= now)) {
+                return;
+            }
+
+            var value = getCacheValue(key);
+            var saved = {key: key, expiry: expiry};
+            if (Buffer.isBuffer(value)) {
+                saved.buffer = value.toString('base64');
+            } else {
+                saved.value = value;
+            }
+            snapshot.entries.push(saved);
+        });
+
+        zlib.gzip(JSON.stringify(snapshot), function(err, data) {
+            if (err) {
+                return cb(err);
+            }
+
+            // Replace the file at once, so that a crash never leaves a partial snapshot.
+            var tmpFile = file + '.tmp';
+            fs.writeFile(tmpFile, data, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                fs.rename(tmpFile, file, function(err) {
+                    cb(err, err ? undefined : {entries: snapshot.entries.length});
+                });
+            });
+        });
+    };
+
+    /**
+     * Restores the cached values of a file that was written by saveSnapshot.
+     *
+     * Only keys on enabled cache paths that are not yet cached are restored. With the stream transport, the values are
+     * checked against the dirty keys in the stream since the snapshot: values of keys that were not changed are
+     * restored from the file, and the changed keys are fetched from Redis. Otherwise, or if the stream was trimmed
+     * since the snapshot, the values can't be checked, and all keys are fetched from Redis in batched MGETs.
+     * @param {String} file
+     * @param {Object} [options]
+     *   The batchSize, concurrency and progress options of warm, for fetching keys from Redis.
+     * @param [cb]
+     *   Called with {entries: number, restored: number, loaded: number}: the number of entries in the file, and the
+     *   number of keys restored from the file and fetched from Redis. If not specified, a promise is returned.
+     * @return {Promise|undefined}
+     */
+    this.loadSnapshot = function(file, options, cb) {
+        if (_.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
+        if (!_.isFunction(cb)) {
+            return toPromise(function(cb) {
+                self.loadSnapshot(file, options, cb);
+            });
+        }
+
+        readSnapshot(file, function(err, snapshot) {
+            if (err) {
+                return cb(err);
+            }
+
+            var now = Date.now();
+            var saved = _.filter(snapshot.entries, function(entry) {
+                return isCacheableKey(entry.key) && !(entry.key in cache) && !(entry.expiry && entry.expiry <= now);
+            });
+            var result = {entries: snapshot.entries.length, restored: 0, loaded: 0};
+            var generations = _.map(saved, function(entry) {
+                return startFetch(entry.key);
+            });
+
+            getDirtyKeysSince(snapshot.streamId, function(dirtyKeys) {
+                var changed = [];
+                _.each(saved, function(entry, i) {
+                    var cacheable = finishFetch(entry.key, generations[i]) && dirtyKeysReceived;
+                    if (!dirtyKeys || dirtyKeys.hasOwnProperty(entry.key)) {
+                        changed.push(entry.key);
+                    } else if (cacheable) {
+                        var value = entry.hasOwnProperty('buffer') ? Buffer.from(entry.buffer, 'base64') : entry.value;
+                        cacheFetchedValue(function() {
+                            setCache(entry.key, value, entry.expiry || undefined);
+                        });
+                        result.restored++;
+                    }
+                });
+
+                preloadKeys(changed, options, result, function(err) {
+                    cb(err, err ? undefined : result);
+                });
+            });
+        });
+    };
+
+    /**
+     * Reads a file that was written by saveSnapshot.
+     * @param {String} file
+     * @param cb
+     *   Called with the snapshot.
+     */
+    var readSnapshot = function(file, cb) {
+        fs.readFile(file, function(err, data) {
+            if (err) {
+                return cb(err);
+            }
+            zlib.gunzip(data, function(err, json) {
+                var snapshot = err ? null : getJson(json.toString());
+                if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !_.isArray(snapshot.entries)) {
+                    return cb(new Error('Invalid cache snapshot: ' + file));
+                }
+                cb(null, snapshot);
+            });
+        });
+    };
+
+    /**
+     * Stream transport: returns the keys that were dirty between the stream entry and the last received entry.
+     * @param {String} streamId
+     * @param cb
+     *   Called with the dirty keys as object keys, or null if they are unknown because this is not the stream
+     *   transport, the position in the stream is not known yet, or the entry is no longer in the stream.
+     */
+    var getDirtyKeysSince = function(streamId, cb) {
+        if (transport !== 'stream' || !streamId || streamId === '0-0' || !dirtyKeysReceived || !lastStreamId ||
+            compareStreamIds(streamId, lastStreamId) > 0) {
+            return cb(null);
+        }
+
+        redisClient.xrange(streamKey, streamId, lastStreamId, function(err, res) {
+            if (err || !res || !res.length || res[0][0] !== streamId) {
+                // Entries may have been trimmed.
+                return cb(null);
+            }
+
+            var dirtyKeys = {};
+            _.each(res, function(entry) {
+                var fields = entry[1];
+                for (var i = 0; i + 1 < fields.length; i += 2) {
+                    if (fields[i] === 'm') {
+                        _.each(fields[i + 1].split("\n").slice(1), function(line) {
+                            var key = line.split("\t")[0];
+                            if (key !== '') {
+                                dirtyKeys[unescapeDirtyField(key)] = true;
+                            }
+                        });
+                    }
+                }
+            });
+            cb(dirtyKeys);
+        });
+    };
+
+    /**
+     * Redis HGET method.
+     */
+    this.hget = withPromise(function(key, field, cb) {
+        if (!dirtyKeysReceived || !isCacheableKey(key)) {
+            return redisClient.hget.apply(redisClient, arguments);
+        }
+
+        var hash = getHashCache(key);
+        if (hash && (hash.fields.hasOwnProperty(field) || hash.complete)) {
+            countStat('hits', key);
+            var value = hash.fields[field];
+            return cb(null, value === undefined ? null : value);
+        }
+
+        var generation = startFetch(key);
+        var started = process.hrtime();
+        return redisClient.hget(key, field, function(err, res) {
+            var cacheable = finishFetch(key, generation);
+            if (err) {
+                return cb(err);
+            }
+
+            countStat('misses', key);
+            recordMissLatency([key], started);
+            if (cacheable) {
+                var fields = {};
+                fields[field] = res;
+                cacheFetchedValue(function() {
+                    setHashCache(key, fields, false);
+                });
+            }
+            cb(null, res);
+        });
+    });
+
+    /**
+     * Redis HMGET method.
+     * The fields can be specified as separate arguments or as an array.
+     */
+    this.hmget = withPromise(function(key) {
+        var args = Array.prototype.slice.apply(arguments);
+        if (!dirtyKeysReceived || !isCacheableKey(key)) {
+            return redisClient.hmget.apply(redisClient, args);
+        }
+
+        var cb = args.pop();
+        var fields = _.flatten(args.slice(1));
+        var hash = getHashCache(key);
+        var values = {};
+        var fromRedis = [];
+        _.each(fields, function(field) {
+            if (hash && (hash.fields.hasOwnProperty(field) || hash.complete)) {
+                countStat('hits', key);
+                values[field] = hash.fields.hasOwnProperty(field) ? hash.fields[field] : null;
+            } else if (fromRedis.indexOf(field) === -1) {
+                fromRedis.push(field);
+            }
+        });
+
+        var done = function() {
+            cb(null, _.map(fields, function(field) {
+                return values[field];
+            }));
+        };
+
+        if (!fromRedis.length) {
+            return done();
+        }
+
+        var generation = startFetch(key);
+        var started = process.hrtime();
+        return redisClient.hmget(key, fromRedis, function(err, res) {
+            var cacheable = finishFetch(key, generation);
+            if (err) {
+                return cb(err);
+            }
+
+            recordMissLatency([key], started);
+            var fetched = {};
+            _.each(fromRedis, function(field, i) {
+                countStat('misses', key);
+                fetched[field] = values[field] = res[i];
+            });
+            if (cacheable) {
+                cacheFetchedValue(function() {
+                    setHashCache(key, fetched, false);
+                });
+            }
+            done();
+        });
+    });
+
+    /**
+     * Redis HGETALL method.
+     */
+    this.hgetall = withPromise(function(key, cb) {
+        if (!dirtyKeysReceived || !isCacheableKey(key)) {
+            return redisClient.hgetall.apply(redisClient, arguments);
+        }
+
+        var hash = getHashCache(key);
+        if (hash && hash.complete) {
+            countStat('hits', key);
+            return cb(null, getHashObject(hash));
+        }
+
+        var generation = startFetch(key);
+        var started = process.hrtime();
+        return redisClient.hgetall(key, function(err, res) {
+            var cacheable = finishFetch(key, generation);
+            if (err) {
+                return cb(err);
+            }
+
+            countStat('misses', key);
+            recordMissLatency([key], started);
+            if (cacheable) {
+                cacheFetchedValue(function() {
+                    setHashCache(key, res || {}, true);
+                });
+            }
+            cb(null, res);
+        });
+    });
+
+    /**
+     * Returns the HGETALL result for a completely cached hash.
+     * @param hash
+     * @return {Object}
+     *   Null if the hash does not exist.
+     */
+    var getHashObject = function(hash) {
+        var obj = null;
+        _.each(hash.fields, function(value, field) {
+            if (value !== null) {
+                obj = obj || {};
+                obj[field] = value;
+            }
+        });
+        return obj;
+    };
+
+    /**
+     * Cache updates for write commands on cached paths, by command name.
+     *
+     * Each function receives the command arguments (without callback) before the command is sent. It returns null if
+     * no cached keys are affected. Otherwise it returns a function that receives the reply of the command, updates the
+     * cache and publishes the dirty keys.
+     *
+     * @type {Object}
+     */
+    var writeCommands = {};
+
+    /**
+     * SET key value [EX seconds|PX millis|EXAT timestamp|PXAT timestamp|KEEPTTL] [NX|XX] [GET]
+     */
+    writeCommands.set = function(args) {
+        var key = args[0];
+        var val = args[1];
+        if (!isCacheableKey(key)) {
+            return null;
+        }
+
+        var setOptions = getSetOptions(args.slice(2));
+        return function(res) {
+            if (setOptions.condition && setOptions.get) {
+                // Unknown whether the value was set.
+                invalidateKey(key);
+            } else if (!setOptions.condition || res !== null) {
+                updateCache(key, val, setOptions.deadline);
+            }
+        };
+    };
+
+    /**
+     * Returns the options of the SET command.
+     * @param {Array} args
+     *   The arguments after the key and value.
+     * @return {{deadline: Number, condition: String, get: boolean}}
+     *   The deadline is null if the key no longer expires, or undefined if the expiry is kept.
+     */
+    var getSetOptions = function(args) {
+        var setOptions = {deadline: null, condition: null, get: false};
+        for (var i = 0; i < args.length; i++) {
+            var option = _.isString(args[i]) ? args[i].toUpperCase() : null;
+            switch(option) {
+                case 'EX':
+                    setOptions.deadline = Date.now() + args[++i] * 1000;
+                    break;
+                case 'PX':
+                    setOptions.deadline = Date.now() + args[++i] * 1;
+                    break;
+                case 'EXAT':
+                    setOptions.deadline = args[++i] * 1000;
+                    break;
+                case 'PXAT':
+                    setOptions.deadline = args[++i] * 1;
+                    break;
+                case 'KEEPTTL':
+                    setOptions.deadline = undefined;
+                    break;
+                case 'NX':
+                case 'XX':
+                    setOptions.condition = option;
+                    break;
+                case 'GET':
+                    setOptions.get = true;
+                    break;
+            }
+        }
+        return setOptions;
+    };
+
+    /**
+     * SETEX key seconds value
+     */
+    writeCommands.setex = function(args) {
+        return setValue(args[0], args[2], Date.now() + args[1] * 1000);
+    };
+
+    /**
+     * PSETEX key millis value
+     */
+    writeCommands.psetex = function(args) {
+        return setValue(args[0], args[2], Date.now() + args[1] * 1);
+    };
+
+    /**
+     * GETSET key value
+     */
+    writeCommands.getset = function(args) {
+        return setValue(args[0], args[1], null);
+    };
+
+    /**
+     * Returns the cache update for a command that always sets the value of a key.
+     * @param key
+     * @param val
+     * @param {Number} [deadline]
+     *   See setCache.
+     * @return {Function}
+     */
+    var setValue = function(key, val, deadline) {
+        if (!isCacheableKey(key)) {
+            return null;
+        }
+
+        return function() {
+            updateCache(key, val, deadline);
+        };
+    };
+
+    /**
+     * SETNX key value
+     */
+    writeCommands.setnx = function(args) {
+        var key = args[0];
+        var val = args[1];
+        if (!isCacheableKey(key)) {
+            return null;
+        }
+
+        return function(res) {
+            if (res) {
+                // The key did not exist yet.
+                updateCache(key, val, null);
+            }
+        };
+    };
+
+    /**
+     * MSET key value [key value ...]
+     */
+    writeCommands.mset = function(args) {
+        return setMultiple(args, false);
+    };
+
+    /**
+     * MSETNX key value [key value ...]
+     */
+    writeCommands.msetnx = function(args) {
+        return setMultiple(args, true);
+    };
+
+    /**
+     * Returns the cache update for a command that sets multiple key-values.
+     * @param args
+     * @param {boolean} checkReply
+     *   If true, the values are only set when the reply is 1.
+     * @return {Function}
+     */
+    var setMultiple = function(args, checkReply) {
+        args = _.flatten(args);
+        var keys = {};
+        var hasKeys = false;
+        for (var i = 0; i + 1 < args.length; i += 2) {
+            if (isCacheableKey(args[i])) {
+                keys[args[i]] = args[i + 1];
+                hasKeys = true;
+            }
+        }
+
+        if (!hasKeys) {
+            return null;
+        }
+
+        return function(res) {
+            if (!checkReply || res) {
+                _.each(keys, function(val, key) {
+                    updateCache(key, val, null);
+                });
+            }
+        };
+    };
+
+    /**
+     * INCR key
+     */
+    writeCommands.incr = function(args) {
+        return incrementKey(args[0]);
+    };
+
+    /**
+     * INCRBY key increment
+     */
+    writeCommands.incrby = function(args) {
+        return incrementKey(args[0]);
+    };
+
+    /**
+     * INCRBYFLOAT key increment
+     */
+    writeCommands.incrbyfloat = function(args) {
+        return incrementKey(args[0]);
+    };
+
+    /**
+     * DECR key
+     */
+    writeCommands.decr = function(args) {
+        return incrementKey(args[0]);
+    };
+
+    /**
+     * DECRBY key decrement
+     */
+    writeCommands.decrby = function(args) {
+        return incrementKey(args[0]);
+    };
+
+    /**
+     * Returns the cache update for a command that replies with the new value, keeping the expiry.
+     * @param key
+     * @return {Function}
+     */
+    var incrementKey = function(key) {
+        if (!isCacheableKey(key)) {
+            return null;
+        }
+
+        return function(res) {
+            updateCache(key, String(res));
+        };
+    };
+
+    /**
+     * APPEND key value
+     */
+    writeCommands.append = function(args) {
+        var key = args[0];
+        var val = args[1];
+        if (!isCacheableKey(key)) {
+            return null;
+        }
+
+        return function(res) {
+            // The reply is the new length, so the new value can be verified.
+            var value = self.isCached(key) ? getCache(key, false) : undefined;
+            if (value === null) {
+                value = "";
+            }
+            if (_.isString(value) && !Buffer.isBuffer(val) && Buffer.byteLength(value + val) === res) {
+                updateCache(key, value + val);
+            } else {
+                invalidateKey(key);
+            }
+        };
+    };
+
+    /**
+     * SETRANGE key offset value
+     */
+    writeCommands.setrange = function(args) {
+        return invalidateOnReply(args[0]);
+    };
+
+    /**
+     * SETBIT key offset value
+     */
+    writeCommands.setbit = function(args) {
+        return invalidateOnReply(args[0]);
+    };
+
+    /**
+     * BITOP operation destkey key [key ...]
+     */
+    writeCommands.bitop = function(args) {
+        return invalidateOnReply(args[1], null);
+    };
+
+    /**
+     * Returns the cache update for a command of which the new value is unknown.
+     * @param key
+     * @param {Number} [deadline]
+     *   See setCache.
+     * @return {Function}
+     */
+    var invalidateOnReply = function(key, deadline) {
+        if (!isCacheableKey(key)) {
+            return null;
+        }
+
+        return function() {
+            invalidateKey(key, deadline);
+        };
+    };
+
+    /**
+     * DEL key [key ...]
+     */
+    writeCommands.del = function(args) {
+        var keys = _.filter(_.flatten(args), isCacheableKey);
+        if (!keys.length) {
+            return null;
+        }
+
+        return function() {
+            _.each(keys, function(key) {
+                setCache(key, null, null);
+                publishDirtyKey(key);
+            });
+        };
+    };
+
+    /**
+     * UNLINK key [key ...]
+     */
+    writeCommands.unlink = writeCommands.del;
+
+    /**
+     * MOVE key db
+     */
+    writeCommands.move = function(args) {
+        var key = args[0];
+        if (!isCacheableKey(key)) {
+            return null;
+        }
+
+        return function(res) {
+            if (res) {
+                // The key was moved to another database.
+                setCache(key, null, null);
+                publishDirtyKey(key, null);
+            }
+        };
+    };
+
+    /**
+     * RENAME key newkey
+     */
+    writeCommands.rename = function(args) {
+        return copyKey(args[0], args[1], true);
+    };
+
+    /**
+     * RENAMENX key newkey
+     */
+    writeCommands.renamenx = function(args) {
+        return copyKey(args[0], args[1], true);
+    };
+
+    /**
+     * COPY source destination [DB destination-db] [REPLACE]
+     */
+    writeCommands.copy = function(args) {
+        var options = _.map(args.slice(2), function(arg) {
+            return String(arg).toUpperCase();
+        });
+        if (options.indexOf('DB') !== -1) {
+            // The destination is in another database, so the cache is not affected.
+            return null;
+        }
+        return copyKey(args[0], args[1], false);
+    };
+
+    /**
+     * Returns the cache update for a command that copies or renames a key, including its expiry.
+     * @param src
+     * @param dst
+     * @param {boolean} removeSrc
+     *   If true, the source key no longer exists afterwards.
+     * @return {Function}
+     */
+    var copyKey = function(src, dst, removeSrc) {
+        var srcCacheable = isCacheableKey(src);
+        var dstCacheable = isCacheableKey(dst);
+        if (!srcCacheable && !dstCacheable) {
+            return null;
+        }
+
+        return function(res) {
+            if (!res) {
+                // Not copied (RENAMENX or COPY without REPLACE on an existing destination).
+                return;
+            }
+
+            if (dstCacheable) {
+                if (srcCacheable && self.isCached(src)) {
+                    // The value and expiry of the source are known.
+                    var deadline = getExpiry(src);
+                    setCache(dst, getCache(src, false), deadline);
+                    publishDirtyKey(dst, deadline);
+                } else {
+                    // The expiry is only known if the source is on a cached path.
+                    invalidateKey(dst, srcCacheable ? getExpiry(src) : undefined);
+                }
+            }
+
+            if (removeSrc && srcCacheable) {
+                setCache(src, null, null);
+                publishDirtyKey(src, null);
+            }
+        };
+    };
+
+    /**
+     * EXPIRE key seconds
+     */
+    writeCommands.expire = function(args) {
+        return changeExpiry(args[0], Date.now() + args[1] * 1000);
+    };
+
+    /**
+     * PEXPIRE key millis
+     */
+    writeCommands.pexpire = function(args) {
+        return changeExpiry(args[0], Date.now() + args[1] * 1);
+    };
+
+    /**
+     * EXPIREAT key timestamp
+     */
+    writeCommands.expireat = function(args) {
+        return changeExpiry(args[0], args[1] * 1000);
+    };
+
+    /**
+     * PEXPIREAT key timestamp
+     */
+    writeCommands.pexpireat = function(args) {
+        return changeExpiry(args[0], args[1] * 1);
+    };
+
+    /**
+     * PERSIST key
+     */
+    writeCommands.persist = function(args) {
+        return changeExpiry(args[0], null);
+    };
+
+    /**
+     * Returns the cache update for a command that changes the expiry deadline of a key.
+     * @param key
+     * @param {Number} deadline
+     *   Null if the key no longer expires.
+     * @return {Function}
+     */
+    var changeExpiry = function(key, deadline) {
+        if (!isCacheableKey(key)) {
+            return null;
+        }
+
+        return function(res) {
+            if (res) {
+                // The expiry was changed.
+                setExpiry(key, deadline);
+                publishDirtyKey(key, deadline);
+            }
+        };
+    };
+
+    /**
+     * HSET key field value [field value ...]
+     */
+    writeCommands.hset = function(args) {
+        return setHashFields(args);
+    };
+
+    /**
+     * HMSET key field value [field value ...]
+     */
+    writeCommands.hmset = function(args) {
+        return setHashFields(args);
+    };
+
+    /**
+     * Returns the cache update for a command that sets hash fields.
+     * The field-value pairs can be specified as an object, or as separate arguments.
+     * @param args
+     * @return {Function}
+     */
+    var setHashFields = function(args) {
+        var key = args[0];
+        if (!isCacheableKey(key)) {
+            return null;
+        }
+
+        // Redis replies with strings, so the values are cached as strings as well.
+        var fields = {};
+        if (args.length === 2 && _.isPlainObject(args[1])) {
+            fields = _.mapValues(args[1], toReplyValue);
+        } else {
+            var pairs = _.flatten(args.slice(1));
+            for (var i = 0; i + 1 < pairs.length; i += 2) {
+                fields[pairs[i]] = toReplyValue(pairs[i + 1]);
+            }
+        }
+
+        return function() {
+            setHashCache(key, fields, false);
+            publishDirtyHashFields(key, _.keys(fields));
+        };
+    };
+
+    /**
+     * HDEL key field [field ...]
+     */
+    writeCommands.hdel = function(args) {
+        var key = args[0];
+        if (!isCacheableKey(key)) {
+            return null;
+        }
+
+        var fields = _.flatten(args.slice(1));
+        return function() {
+            var values = {};
+            _.each(fields, function(field) {
+                values[field] = null;
+            });
+            setHashCache(key, values, false);
+            publishDirtyHashFields(key, fields);
+        };
+    };
+
+    /**
+     * HINCRBY key field increment
+     */
+    writeCommands.hincrby = function(args) {
+        return incrementHashField(args[0], args[1]);
+    };
+
+    /**
+     * HINCRBYFLOAT key field increment
+     */
+    writeCommands.hincrbyfloat = function(args) {
+        return incrementHashField(args[0], args[1]);
+    };
+
+    /**
+     * Returns the cache update for a command that replies with the new value of a hash field.
+     * @param key
+     * @param field
+     * @return {Function}
+     */
+    var incrementHashField = function(key, field) {
+        if (!isCacheableKey(key)) {
+            return null;
+        }
+
+        return function(res) {
+            var fields = {};
+            fields[field] = String(res);
+            setHashCache(key, fields, false);
+            publishDirtyHashFields(key, [field]);
+        };
+    };
+
+    /**
+     * True while the cache update of a write command only removes the written keys from cache.
+     * @type {boolean}
+     */
+    var writeInvalidatesOnly = false;
+
+    /**
+     * Applies the cache update of a write command.
+     *
+     * In the default tracking mode, the server only sends invalidations for keys that were read by the main client.
+     * Written values are then not cached, so that they are read (and tracked) first.
+     *
+     * @param update
+     * @param res
+     *   The reply of the command.
+     */
+    var applyWriteUpdate = function(update, res) {
+        if (transport !== 'tracking' || trackingMode !== 'default') {
+            return update(res);
+        }
+
+        writeInvalidatesOnly = true;
+        try {
+            update(res);
+        } finally {
+            writeInvalidatesOnly = false;
+        }
+    };
+
+    /**
+     * Returns a method that executes the write command, and updates the cache when it succeeds.
+     * @param command
+     * @return {Function}
+     */
+    var cachedWriteCommand = function(command) {
+        return withPromise(function() {
+            var args = encodeWriteArgs(command, Array.prototype.slice.apply(arguments));
+
+            var update = writeCommands[command](args.slice(0, -1));
+            if (update) {
+                // Override callback, updating the cache and signalling of dirty keys.
+                wrapArgsCb(args, function(err, res) {
+                    if (!err) {
+                        applyWriteUpdate(update, res);
+                    }
+                });
+            }
+
+            return redisClient[command].apply(redisClient, args);
+        });
+    };
+
+    /**
+     * Cache updates for read commands in transactions and batches, by command name.
+     * See writeCommands.
+     * @type {Object}
+     */
+    var readCommands = {};
+
+    /**
+     * GET key
+     */
+    readCommands.get = function(args) {
+        var key = args[0];
+        if (!isCacheableKey(key)) {
+            return null;
         }
 
-        if (this.pathIsEnabled(key.split(':'))) {
-            // Check if in cache.
-            if (key in cache) {
-                // Return from cache.
-                stats.hits++;
-                if (cb) {
-                    cb(null, getCache(key, json, jsonByRef));
+        return function(res) {
+            setCache(key, res);
+        };
+    };
+
+    /**
+     * MGET key [key ...]
+     */
+    readCommands.mget = function(args) {
+        var keys = _.flatten(args);
+        if (!_.some(keys, isCacheableKey)) {
+            return null;
+        }
+
+        return function(res) {
+            _.each(keys, function(key, i) {
+                if (isCacheableKey(key)) {
+                    setCache(key, res[i]);
                 }
-                return;
-            } else {
-                wrapArgsCb(args, function(err, res) {
-                    if (!err) {
-                        // Save to cache.
-                        stats.misses++;
-                        setCache(key, res);
-                        if (cb) {
-                            cb(null, getCache(key, json, jsonByRef));
-                        }
-                        return false;
-                    }
+            });
+        };
+    };
+
+    /**
+     * Redis MULTI method.
+     * The cache is updated for the queued commands on cached paths after EXEC succeeds.
+     * @param {Array} [commands]
+     */
+    this.multi = function(commands) {
+        var args = Array.prototype.slice.apply(arguments);
+        args[0] = commands = encodeCommands(commands);
+        return wrapMulti(redisClient.multi.apply(redisClient, args), commands);
+    };
+
+    /**
+     * Redis client BATCH method.
+     * The cache is updated for the queued commands on cached paths that succeeded after EXEC.
+     * @param {Array} [commands]
+     */
+    this.batch = function(commands) {
+        var args = Array.prototype.slice.apply(arguments);
+        args[0] = commands = encodeCommands(commands);
+        return wrapMulti(redisClient.batch.apply(redisClient, args), commands);
+    };
+
+    /**
+     * Wraps a Multi object, so that the queued commands on cached paths are recorded and the cache is updated on EXEC.
+     * @param multi
+     * @param {Array} [commands]
+     *   The commands that were queued when creating the Multi object.
+     * @return {Object}
+     */
+    var wrapMulti = function(multi, commands) {
+        var updates = [];
+        var count = 0;
+
+        var queue = function(command, args) {
+            var prepare = writeCommands[command] || readCommands[command];
+            if (prepare) {
+                var update = prepare(_.isFunction(_.last(args)) ? _.initial(args) : args);
+                if (update) {
+                    updates.push({index: count, update: update, write: writeCommands.hasOwnProperty(command)});
+                }
+            }
+            count++;
+        };
+
+        _.each(commands, function(command) {
+            queue(String(command[0]).toLowerCase(), command.slice(1));
+        });
+
+        for (var prop in multi) {
+            var command = prop.toLowerCase();
+            if (_.isFunction(multi[prop]) && redisCommands.exists(command) &&
+                !MULTI_CONTROL_COMMANDS.hasOwnProperty(command)) {
+                (function(command, method) {
+                    multi[prop] = function() {
+                        var args = encodeWriteArgs(command, Array.prototype.slice.apply(arguments));
+                        queue(command, args);
+                        return method.apply(multi, args);
+                    };
+                })(command, multi[prop]);
+            }
+        }
+
+        var exec = multi.exec;
+        multi.exec = multi.EXEC = function(cb) {
+            if (!_.isFunction(cb)) {
+                return toPromise(function(cb) {
+                    multi.exec(cb);
                 });
             }
-        } else {
-            if (json) {
-                wrapArgsCb(args, function(err, res) {
-                    if (err) {
-                        return cb(err);
-                    }
-                    if (cb) {
-                        cb(null, getJson(res));
+
+            return exec.call(multi, function(err, replies) {
+                // The replies are null if the transaction was aborted (WATCH).
+                if (!err && replies) {
+                    withDirtyKeyBatch(function() {
+                        _.each(updates, function(item) {
+                            var res = replies[item.index];
+                            if (!(res instanceof Error)) {
+                                if (item.write) {
+                                    applyWriteUpdate(item.update, res);
+                                } else {
+                                    item.update(res);
+                                }
+                            }
+                        });
+                    });
+                }
+                cb.apply(this, arguments);
+            });
+        };
+
+        return multi;
+    };
+
+    // Override the write commands that are supported by the redis client.
+    _.each(_.keys(writeCommands), function(command) {
+        if (_.isFunction(redisClient[command])) {
+            self[command] = cachedWriteCommand(command);
+        }
+    });
+
+    /**
+     * Returns a snapshot of the cache statistics, which does not change afterwards:
+     * - the counters hits, misses, recvDirty (received dirty keys), evictions, refreshes, published (published dirty
+     *   keys), jsonParses and decodes (by any codec, including json).
+     * - missLatency: the latency histogram of the Redis round trips of misses, in millis.
+     * - cache, jsonCache and decodedCache (by any codec): the number of entries and their estimated size in bytes.
+     * - fetching: the number of keys that are currently being fetched from Redis.
+     * - paths: the same statistics per top-level path of the enabled tree, see getStatsPath.
+     * @returns {Object}
+     */
+    this.getCacheStats = function() {
+        var snapshot = getStatsSnapshot(stats);
+        snapshot.paths = _.mapValues(pathStats, getStatsSnapshot);
+
+        // Returns the snapshots to which the key adds.
+        var getKeySnapshots = function(key) {
+            var path = getStatsPath(key);
+            if (!snapshot.paths.hasOwnProperty(path)) {
+                snapshot.paths[path] = getStatsSnapshot(createStats());
+            }
+            return [snapshot, snapshot.paths[path]];
+        };
+
+        entries.forEach(function(entry, key) {
+            _.each(getKeySnapshots(key), function(s) {
+                s.cache.entries++;
+                s.cache.bytes += entry.size;
+                if (decodedCache.hasOwnProperty(key)) {
+                    s.decodedCache.entries++;
+                    s.decodedCache.bytes += entry.decodedSize || 0;
+                    if (decodedCache[key].codec === 'json') {
+                        s.jsonCache.entries++;
+                        s.jsonCache.bytes += entry.decodedSize || 0;
                     }
-                    return false;
+                }
+            });
+        });
+        _.each(pendingFetches, function(fetch, key) {
+            _.each(getKeySnapshots(key), function(s) {
+                s.fetching++;
+            });
+        });
+        return snapshot;
+    };
+
+    /**
+     * Clears the cache statistics.
+     */
+    this.resetCacheStats = function() {
+        stats = createStats();
+        pathStats = {};
+    };
+
+    /**
+     * Returns the cache statistics per path in the Prometheus text format, labelled by the cache name and path.
+     * @return {String}
+     */
+    this.metrics = function() {
+        var snapshot = self.getCacheStats();
+        var lines = [];
+        _.each(METRICS, function(metric) {
+            var name = METRICS_PREFIX + metric.name + (metric.type === 'counter' ? '_total' : '');
+            lines.push('# HELP ' + name + ' ' + metric.help, '# TYPE ' + name + ' ' + metric.type);
+            _.each(snapshot.paths, function(pathSnapshot, path) {
+                lines.push(name + formatMetricLabels(getMetricLabels(path)) + ' ' + metric.value(pathSnapshot));
+            });
+        });
+
+        var name = METRICS_PREFIX + 'miss_latency_seconds';
+        lines.push('# HELP ' + name + ' Latency of the Redis round trips of cache misses.');
+        lines.push('# TYPE ' + name + ' histogram');
+        _.each(snapshot.paths, function(pathSnapshot, path) {
+            var labels = getMetricLabels(path);
+            var latency = pathSnapshot.missLatency;
+            // Buckets must be in increasing order, which the keys of the snapshot are not.
+            _.each(LATENCY_BUCKETS.concat('+Inf'), function(le) {
+                var bucketLabels = _.assign({}, labels, {le: le === '+Inf' ? le : String(le / 1000)});
+                lines.push(name + '_bucket' + formatMetricLabels(bucketLabels) + ' ' + latency.buckets[String(le)]);
+            });
+            lines.push(name + '_sum' + formatMetricLabels(labels) + ' ' + (latency.sum / 1000));
+            lines.push(name + '_count' + formatMetricLabels(labels) + ' ' + latency.count);
+        });
+        return lines.join("\n") + "\n";
+    };
+
+    /**
+     * Registers observable OpenTelemetry instruments for the cache statistics per path, labelled by the cache name and
+     * path. The latency histogram is not included, as OpenTelemetry has no observable histograms.
+     * @param meter
+     *   An OpenTelemetry Meter, for instance metrics.getMeter('redis-memcache') of @opentelemetry/api.
+     * @return {Function}
+     *   Unregisters the instruments.
+     */
+    this.registerMetrics = function(meter) {
+        var observables = _.map(METRICS, function(metric) {
+            var create = (metric.type === 'counter') ? 'createObservableCounter' : 'createObservableGauge';
+            return meter[create](METRICS_PREFIX + metric.name, {description: metric.help});
+        });
+
+        var observe = function(result) {
+            _.each(self.getCacheStats().paths, function(pathSnapshot, path) {
+                var labels = getMetricLabels(path);
+                _.each(METRICS, function(metric, i) {
+                    result.observe(observables[i], metric.value(pathSnapshot), labels);
                 });
+            });
+        };
+        meter.addBatchObservableCallback(observe, observables);
+
+        return function() {
+            meter.removeBatchObservableCallback(observe, observables);
+        };
+    };
+
+    /**
+     * Returns the labels of the metrics of the path.
+     * @param {String} path
+     * @return {{cache: String, path: String}}
+     */
+    var getMetricLabels = function(path) {
+        return {cache: options.name || 'default', path: path};
+    };
+
+    /**
+     * Increments a counter of the cache statistics, globally and for the path of the key.
+     * @param {String} name
+     * @param {String} key
+     */
+    var countStat = function(name, key) {
+        stats[name]++;
+        getPathStats(getStatsPath(key))[name]++;
+        if (name === 'hits' || name === 'misses') {
+            emitKeyEvent(name === 'hits' ? 'hit' : 'miss', key);
+        }
+    };
+
+    /**
+     * Emits an event about the key on cacheEvents, if it has listeners.
+     * @param {String} name
+     * @param {String} key
+     * @param {Object} [details]
+     *   Other properties of the event, like the origin of invalidations.
+     */
+    var emitKeyEvent = function(name, key, details) {
+        if (self.cacheEvents.listenerCount(name)) {
+            self.cacheEvents.emit(name, _.assign({key: key}, details));
+        }
+    };
+
+    /**
+     * Records the latency of a Redis round trip for cache misses, globally and for the paths of the keys.
+     * @param {String[]} keys
+     *   The fetched keys.
+     * @param {Number[]} started
+     *   The process.hrtime() of the request.
+     */
+    var recordMissLatency = function(keys, started) {
+        if (!keys.length) {
+            return;
+        }
+
+        var elapsed = process.hrtime(started);
+        var ms = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+        stats.missLatency.record(ms);
+        _.each(_.uniq(_.map(keys, getStatsPath)), function(path) {
+            getPathStats(path).missLatency.record(ms);
+        });
+    };
+
+    /**
+     * Returns the path under which the statistics of the key are counted: its first segment if that is a path in the
+     * enabled tree, or '' for all other keys.
+     * @param {String|Buffer} key
+     * @return {String}
+     */
+    var getStatsPath = function(key) {
+        var segment = String(key).split(separator, 1)[0];
+        return enabledTree.c.hasOwnProperty(segment) ? segment : '';
+    };
+
+    /**
+     * Returns the statistics of the path, which are created if they do not yet exist.
+     * @param {String} path
+     * @return {Object}
+     */
+    var getPathStats = function(path) {
+        if (!pathStats.hasOwnProperty(path)) {
+            pathStats[path] = createStats();
+        }
+        return pathStats[path];
+    };
+
+    /**
+     * Enables listening to the dirty cache channel.
+     * @param cb
+     */
+    var enableDirtyCacheChannel = function(cb) {
+        // Start listening for dirty keys.
+        subscribeDirtyCacheChannel(function(err) {
+            if (err) {
+                return cb(err);
             }
+
+            cb();
+        });
+
+        redisSubClient.on("message", function (channel, message) {
+            if (channel == dirtyKeyChannel) {
+                receiveDirtyKey(message);
+            }
+        });
+
+        if (keyspaceNotifications) {
+            redisSubClient.on("pmessage", function(pattern, channel) {
+                receiveKeyspaceNotification(channel);
+            });
         }
 
-        // Just use Redis get.
-        return redisClient.get.apply(redisClient, args);
+        watchConnection(redisSubClient, 'subscriber', function() {
+            // Dirty keys may be missed until subscribed again.
+            dirtyKeysReceived = false;
+        }, function() {
+            subscribeDirtyCacheChannel(function(err) {
+                if (!err) {
+                    // Keys that were changed in the meantime may be stale.
+                    self.flushCache();
+                    dirtyKeysReceived = true;
+                    self.cacheEvents.emit('reconnect', {client: 'subscriber', flushed: true});
+                }
+            });
+        });
+
+        watchConnection(redisClient, 'main', _.noop, function() {
+            // Writes that were interrupted may have succeeded without updating the cache.
+            self.flushCache();
+            self.cacheEvents.emit('reconnect', {client: 'main', flushed: true});
+        });
     };
 
     /**
-     * Redis MGET method.
-     * @param keys
-     * @param [cb]
-     * @param [json]
-     *   If true, returns as parsed json.
-     * @param {boolean} [jsonByRef]
-     *   If true, json object is not cloned before sending.
-     *   This improves performance, but make sure you don't change the object because it will affect the cached version!
+     * Stream transport: starts reading dirty keys from the stream.
+     * @param cb
      */
-    this.mget = function(keys, cb, json, jsonByRef) {
-        var values = {};
-        var fromRedis = [];
-        _.each(keys, function(key) {
-            if (key in cache) {
-                // Get from cache.
-                stats.hits++;
-                values[key] = getCache(key, json, jsonByRef);
-            } else {
-                // Do this to maintain the correct ordering.
-                values[key] = null;
-                fromRedis.push(key);
+    var enableDirtyKeyStream = function(cb) {
+        // Start after the last entry, so that entries from before this client existed are skipped.
+        redisClient.xrevrange(streamKey, '+', '-', 'COUNT', 1, function(err, res) {
+            if (err) {
+                if (!self.cacheEvents.emit('subscribeError', err)) {
+                    console.error('[redis stream]', err);
+                }
+                return cb(err);
             }
+
+            lastStreamId = (res && res.length) ? res[0][0] : '0-0';
+            cb();
+            readDirtyKeyStream(true);
         });
 
-        if (fromRedis.length) {
-            var hash = crypto.createHash('md5').update(keys.join(''), 'utf-8').digest("hex");
-            if (Array.isArray(commandBeingDownloaded[hash])) {
-                //if the command is already being downloaded register a callback
-                commandBeingDownloaded[hash].push(this.mget.bind(this,keys, cb, json, jsonByRef));
-            } else {
-                commandBeingDownloaded[hash] = [];
-                redisClient.mget(fromRedis, function (err, vals) {
-                    if (err) {
-                        if (cb) {
-                            cb(err);
-                        }
-                        return;
-                    }
+        watchConnection(redisSubClient, 'subscriber', stopReceivingDirtyKeys, _.noop);
 
-                    for (var i in fromRedis) {
-                        if (self.pathIsEnabled(fromRedis[i].split(':'))) {
-                            // Save in cache.
-                            stats.misses++;
-                            setCache(fromRedis[i], vals[i]);
-                            values[fromRedis[i]] = getCache(fromRedis[i], json, jsonByRef);
-                        } else {
-                            values[fromRedis[i]] = json ? getJson(vals[i]) : vals[i];
-                        }
+        watchConnection(redisClient, 'main', _.noop, function() {
+            // Writes that were interrupted may have succeeded without updating the cache.
+            self.flushCache();
+            self.cacheEvents.emit('reconnect', {client: 'main', flushed: true});
+        });
+    };
+
+    /**
+     * Stream transport: marks that dirty keys may be missed until the stream is read again.
+     */
+    var stopReceivingDirtyKeys = function() {
+        if (dirtyKeysReceived) {
+            dirtyKeysReceived = false;
+            recoverStreamId = lastStreamId;
+        }
+    };
+
+    /**
+     * Stream transport: reads the next dirty keys from the stream, and continues reading.
+     * @param {boolean} block
+     *   If true, waits for new entries.
+     */
+    var readDirtyKeyStream = function(block) {
+        var args = ['COUNT', STREAM_READ_COUNT];
+        if (block) {
+            args.push('BLOCK', STREAM_BLOCK_MS);
+        }
+        args.push('STREAMS', streamKey, lastStreamId);
+        var readAfterId = lastStreamId;
+
+        redisSubClient.xread(args, function(err, res) {
+            if (err) {
+                if (redisSubClient.closing) {
+                    // Stopped by the user.
+                    return;
+                }
+
+                // Retry from the last received entry.
+                stopReceivingDirtyKeys();
+                setTimeout(function() {
+                    readDirtyKeyStream(false);
+                }, STREAM_RETRY_MS).unref();
+                return;
+            }
+
+            var entries = (res && res.length) ? res[0][1] : [];
+            _.each(entries, function(entry) {
+                lastStreamId = entry[0];
+                var fields = entry[1];
+                for (var i = 0; i + 1 < fields.length; i += 2) {
+                    if (fields[i] === 'm') {
+                        receiveDirtyKey(fields[i + 1]);
                     }
+                }
+            });
 
-                    if (cb) {
-                        var vals = [];
-                        _.each(keys, function (key) {
-                            vals.push(values[key]);
-                        });
-                        cb(null, vals);
+            var caughtUp = (entries.length < STREAM_READ_COUNT);
+            if (caughtUp && !dirtyKeysReceived) {
+                recoverDirtyKeyStream();
+            } else if (dirtyKeysReceived && entries.length >= Math.min(STREAM_READ_COUNT, streamMaxLen)) {
+                // Fewer entries than the stream keeps can't have been trimmed before they were read.
+                checkDirtyKeyStreamTrimmed(readAfterId, caughtUp);
+            } else {
+                readDirtyKeyStream(caughtUp);
+            }
+        });
+    };
+
+    /**
+     * Stream transport: while connected, checks if entries after the id were trimmed before they could be read, as
+     * happens when this client falls more than streamMaxLen entries behind. In that case dirty keys were missed, and
+     * the local cache is flushed.
+     * @param {String} afterId
+     *   The id of the last entry that was read before.
+     * @param {boolean} block
+     *   Passed to readDirtyKeyStream.
+     */
+    var checkDirtyKeyStreamTrimmed = function(afterId, block) {
+        redisSubClient.xrange(streamKey, '-', '+', 'COUNT', 1, function(err, res) {
+            var firstId = (!err && res && res.length) ? res[0][0] : null;
+            if (firstId && compareStreamIds(firstId, afterId) > 0) {
+                self.flushCache();
+            }
+            readDirtyKeyStream(block);
+        });
+    };
+
+    /**
+     * Stream transport: after catching up, checks if entries were trimmed before they could be read.
+     * In that case dirty keys were missed, and the local cache is flushed.
+     */
+    var recoverDirtyKeyStream = function() {
+        redisSubClient.xrange(streamKey, '-', '+', 'COUNT', 1, function(err, res) {
+            if (err) {
+                return readDirtyKeyStream(false);
+            }
+
+            var firstId = (res && res.length) ? res[0][0] : null;
+            var flushed = false;
+            if (firstId && compareStreamIds(firstId, recoverStreamId) > 0) {
+                self.flushCache();
+                flushed = true;
+            }
+
+            dirtyKeysReceived = true;
+            self.cacheEvents.emit('reconnect', {client: 'subscriber', flushed: flushed});
+            readDirtyKeyStream(true);
+        });
+    };
+
+    /**
+     * Tracking transport: subscribes to the invalidations of the server, and enables client tracking on the main
+     * client.
+     * @param cb
+     */
+    var enableClientTracking = function(cb) {
+        subscribeInvalidations(function(err) {
+            if (err) {
+                return cb(err);
+            }
+
+            cb();
+        });
+
+        redisSubClient.on("message", function(channel, message) {
+            if (channel == TRACKING_CHANNEL) {
+                receiveInvalidation(message);
+            } else if (channel == dirtyKeyChannel) {
+                receiveDirtyKey(message);
+            }
+        });
+
+        watchConnection(redisSubClient, 'subscriber', function() {
+            dirtyKeysReceived = false;
+        }, function() {
+            // The subscription client has a new client id, so invalidations must be redirected again.
+            redisSubClient.unsubscribe(TRACKING_CHANNEL, dirtyKeyChannel, function() {
+                subscribeInvalidations(function(err) {
+                    if (!err) {
+                        self.cacheEvents.emit('reconnect', {client: 'subscriber', flushed: true});
                     }
-                    for (var i in commandBeingDownloaded[hash])
-                        commandBeingDownloaded[hash][i]();
-                    delete commandBeingDownloaded[hash];
                 });
+            });
+        });
+
+        watchConnection(redisClient, 'main', function() {
+            dirtyKeysReceived = false;
+        }, function() {
+            // Client tracking is enabled per connection.
+            startClientTracking(function(err) {
+                if (!err) {
+                    self.cacheEvents.emit('reconnect', {client: 'main', flushed: true});
+                }
+            });
+        });
+    };
 
+    /**
+     * Tracking transport: subscribes the subscription client to the invalidations, and redirects them to it.
+     * @param cb
+     */
+    var subscribeInvalidations = function(cb) {
+        var done = function(err) {
+            if (err && !self.cacheEvents.emit('subscribeError', err)) {
+                console.error('[redis tracking]', err);
             }
-        } else {
-            if (cb) {
-                var vals = [];
-                _.each(keys, function(key) {
-                    vals.push(values[key]);
-                });
-                cb(null, vals);
+            cb(err);
+        };
+
+        // The client id must be requested before subscribing, as only subscription commands are allowed afterwards.
+        redisSubClient.client('ID', function(err, id) {
+            if (err) {
+                return done(err);
             }
-        }
+
+            // The dirty key channel only carries the control lines of the cache paths.
+            redisSubClient.subscribe(TRACKING_CHANNEL, dirtyKeyChannel, function(err) {
+                if (err) {
+                    return done(err);
+                }
+
+                trackingRedirectId = id;
+                startClientTracking(done);
+            });
+        });
     };
 
     /**
-     * Redis SET method.
+     * Tracking transport: (re-)enables client tracking on the main client, and flushes the local cache.
+     * @param cb
      */
-    this.set = function(key, val) {
-        var args = Array.prototype.slice.apply(arguments);
+    var startClientTracking = function(cb) {
+        dirtyKeysReceived = false;
 
-        if (this.pathIsEnabled(key.split(':'))) {
-            // Override callback, clearing the cache and signalling of dirty key.
-            wrapArgsCb(args, function(err) {
-                if (!err) {
-                    if (!self.isCached(key) || (getCache(key, false) !== val)) {
-                        setCache(key, val);
-                        publishDirtyKey(key);
-                    }
+        var args = ['TRACKING', 'ON', 'REDIRECT', trackingRedirectId, 'NOLOOP'];
+        if (trackingMode === 'bcast') {
+            trackingPrefixes = getEnabledPrefixes();
+            args.push('BCAST');
+            _.each(trackingPrefixes, function(prefix) {
+                if (prefix !== '') {
+                    args.push('PREFIX', prefix);
                 }
             });
         }
 
-        // Just use Redis set.
-        return redisClient.set.apply(redisClient, args);
+        // Turn tracking off first, because the prefixes of the broadcasting mode can't be replaced otherwise.
+        redisClient.client('TRACKING', 'OFF', _.noop);
+        if (trackingPrefixes && !trackingPrefixes.length) {
+            // Without prefixes the server would broadcast all keys, while no keys can be cached.
+            self.flushCache();
+            dirtyKeysReceived = true;
+            return cb();
+        }
+
+        redisClient.client(args, function(err) {
+            if (err) {
+                return cb(err);
+            }
+
+            // Values that were cached while not tracked may be stale.
+            self.flushCache();
+            dirtyKeysReceived = true;
+            cb();
+        });
     };
 
     /**
-     * Redis MSET method.
+     * Tracking transport: restarts client tracking in bcast mode if the enabled cache paths have changed.
      */
-    this.mset = function() {
-        var args = Array.prototype.slice.apply(arguments);
+    var updateTrackingPrefixes = function() {
+        if (trackingMode !== 'bcast' || trackingRedirectId === null) {
+            return;
+        }
+        if (_.isEqual(getEnabledPrefixes(), trackingPrefixes)) {
+            return;
+        }
 
-        var keys = {};
-        var hasKeys = false;
-        var i = 0;
-        _.each(arguments, function(key) {
-            if (i % 2 == 0) {
-                if (_.isString(key) && self.pathIsEnabled(key.split(':'))) {
-                    keys[key] = args[i + 1];
-                    hasKeys = true;
-                }
+        startClientTracking(function(err) {
+            if (err && !self.cacheEvents.emit('subscribeError', err)) {
+                console.error('[redis tracking]', err);
             }
-            i++;
         });
+    };
 
-        if (hasKeys) {
-            // Override callback, clearing the cache and signalling of dirty key.
-            wrapArgsCb(args, function(err) {
-                if (!err) {
-                    _.each(keys, function(val, key) {
-                        if (!self.isCached(key) || (getCache(key, false) !== val)) {
-                            setCache(key, val);
-                            publishDirtyKey(key);
-                        }
-                    });
-                }
+    /**
+     * Returns the key prefixes of the enabled cache paths.
+     * Prefixes that start with another prefix are left out, because these keys are already covered (client tracking
+     * doesn't even allow overlapping prefixes).
+     * A path with a wildcard segment is covered by the prefix up to that segment, and a RegExp rule by the empty
+     * prefix.
+     * @return {String[]}
+     *   If the root path is enabled, an empty string is returned as only prefix.
+     */
+    var getEnabledPrefixes = function() {
+        var prefixes = [];
+        var collect = function(item, path) {
+            if (item.a) {
+                var wildcard = path.indexOf(WILDCARD_SEGMENT);
+                prefixes.push(wildcard === -1 ? path.join(separator) :
+                    path.slice(0, wildcard).concat('').join(separator));
+                return;
+            }
+            _.each(item.c, function(child, p) {
+                collect(child, path.concat(p));
             });
+        };
+        collect(enabledTree, []);
+        if (_.some(regExpRules, 'a')) {
+            prefixes.push('');
         }
 
-        // Just use Redis set.
-        return redisClient.mset.apply(redisClient, args);
+        prefixes.sort();
+        return _.reduce(prefixes, function(result, prefix) {
+            var last = _.last(result);
+            if (last === undefined || !_.startsWith(prefix, last)) {
+                result.push(prefix);
+            }
+            return result;
+        }, []);
     };
 
     /**
-     * Redis DEL method.
+     * Tracking transport: receives invalidated keys from the server.
+     * @param {String|String[]} keys
+     *   Null if the database was flushed.
      */
-    this.del = function() {
-        var args = Array.prototype.slice.apply(arguments);
+    var receiveInvalidation = function(keys) {
+        if (keys === null) {
+            self.flushCache();
+            return;
+        }
+
+        _.each(_.isArray(keys) ? keys : [keys], function(key) {
+            key = String(key);
+            countStat('recvDirty', key);
+            delCache(key);
+            emitKeyEvent('invalidate', key, {origin: 'remote'});
+        });
+    };
+
+    /**
+     * Subscribes to the dirty key channel.
+     * @param cb
+     */
+    var subscribeDirtyCacheChannel = function(cb) {
+        var subscribed = function(err) {
+            if (err) {
+                if (!self.cacheEvents.emit('subscribeError', err)) {
+                    console.error('[redis subscribe]', err);
+                }
+                return cb(err);
+            }
+
+            cb();
+        };
 
-        var keys = [];
-        var delKeys = _.isArray(args[0]) ? args[0] : [args[0]];
-        _.each(delKeys, function(key) {
-            if (_.isString(key) && self.pathIsEnabled(key.split(':'))) {
-                keys.push(key);
+        if (!keyspaceNotifications) {
+            return redisSubClient.subscribe(dirtyKeyChannel, subscribed);
+        }
+        subscribeKeyspaceNotifications(function(err) {
+            if (err) {
+                return subscribed(err);
             }
+            redisSubClient.subscribe(dirtyKeyChannel, subscribed);
         });
+    };
 
-        if (keys.length) {
-            // Override callback, clearing the cache and signalling of dirty key.
-            wrapArgsCb(args, function(err) {
-                if (!err) {
-                    _.each(keys, function(key) {
-                        setCache(key, null);
-                        publishDirtyKey(key);
-                    });
+    /**
+     * Keyspace notifications: subscribes to the notifications of keys on the enabled cache paths.
+     * @param cb
+     */
+    var subscribeKeyspaceNotifications = function(cb) {
+        keyspacePrefixes = getEnabledPrefixes();
+        if (!keyspacePrefixes.length) {
+            return cb();
+        }
+        redisSubClient.psubscribe(_.map(keyspacePrefixes, getKeyspacePattern), function(err) {
+            cb(err);
+        });
+    };
+
+    /**
+     * Keyspace notifications: changes the subscribed patterns if the enabled cache paths have changed.
+     */
+    var updateKeyspacePatterns = function() {
+        if (!keyspaceNotifications || keyspacePrefixes === null) {
+            return;
+        }
+
+        var prefixes = getEnabledPrefixes();
+        var added = _.difference(prefixes, keyspacePrefixes);
+        var removed = _.difference(keyspacePrefixes, prefixes);
+        keyspacePrefixes = prefixes;
+
+        if (removed.length) {
+            redisSubClient.punsubscribe(_.map(removed, getKeyspacePattern), _.noop);
+        }
+        if (added.length) {
+            redisSubClient.psubscribe(_.map(added, getKeyspacePattern), function(err) {
+                if (err) {
+                    if (!self.cacheEvents.emit('subscribeError', err)) {
+                        console.error('[redis subscribe]', err);
+                    }
+                    return;
                 }
+
+                // Keys that were cached before the notifications were received may be stale.
+                var keys = [];
+                entries.forEach(function(entry, key) {
+                    var matches = _.some(added, function(prefix) {
+                        return _.startsWith(key, prefix);
+                    });
+                    if (matches) {
+                        keys.push(key);
+                    }
+                });
+                _.each(keys, delCache);
             });
         }
-        // Just use Redis set.
-        return redisClient.del.apply(redisClient, args);
     };
 
     /**
-     * Returns cache statistics.
-     * @returns {{hits: number, misses: number, recvDirty: number}}
+     * Keyspace notifications: returns the channel pattern for the keys with the prefix.
+     * @param {String} prefix
+     * @return {String}
      */
-    this.getCacheStats = function() {
-        return stats;
+    var getKeyspacePattern = function(prefix) {
+        return getKeyspaceChannelPrefix() + escapeGlobPattern(prefix) + '*';
     };
 
     /**
-     * Clears the cache statistics.
+     * Keyspace notifications: returns the channel prefix of the notifications in the selected database.
+     * @return {String}
      */
-    this.resetCacheStats = function() {
-        stats.hits = 0;
-        stats.misses = 0;
-        stats.recvDirty = 0;
+    var getKeyspaceChannelPrefix = function() {
+        return '__keyspace@' + (redisClient.selected_db || 0) + '__:';
     };
 
     /**
-     * Enables listening to the dirty cache channel.
-     * @param cb
+     * Keyspace notifications: invalidates the key of a received notification.
+     * The own writes are notified as well, so these are removed from cache too.
+     * @param channel
      */
-    var enableDirtyCacheChannel = function(cb) {
-        // Start listening for dirty keys.
-        redisSubClient.subscribe(RedisMemcacheClient.DIRTY_KEY_CHANNEL, function(err) {
-            if (err) {
-                console.error('[redis subscribe]', err);
-                return cb(err);
-            }
+    var receiveKeyspaceNotification = function(channel) {
+        var channelPrefix = getKeyspaceChannelPrefix();
+        if (_.startsWith(channel, channelPrefix)) {
+            var key = channel.substr(channelPrefix.length);
+            countStat('recvDirty', key);
+            delCache(key);
+            emitKeyEvent('invalidate', key, {origin: 'remote'});
+        }
+    };
 
-            cb();
-        });
+    /**
+     * Calls the handlers when the connection of the Redis client is lost and when it is ready again.
+     * @param client
+     * @param {String} name
+     *   Name of the client in the emitted events.
+     * @param onDisconnect
+     * @param onReconnect
+     */
+    var watchConnection = function(client, name, onDisconnect, onReconnect) {
+        var disconnected = false;
 
-        redisSubClient.on("message", function (channel, message) {
-            if (channel == RedisMemcacheClient.DIRTY_KEY_CHANNEL) {
-                receiveDirtyKey(message);
+        var disconnect = function() {
+            if (!disconnected) {
+                disconnected = true;
+                onDisconnect();
+                self.cacheEvents.emit('disconnect', {client: name});
+            }
+        };
+
+        client.on('end', disconnect);
+        client.on('reconnecting', disconnect);
+        client.on('ready', function() {
+            if (disconnected) {
+                disconnected = false;
+                onReconnect();
             }
         });
     };
@@ -492,6 +3921,29 @@ function RedisMemcacheClient(redisClient, redisSubClient, options, cb) {
      */
     var dirtyKeys = [];
 
+    /**
+     * Dirty key lines that are gathered while running withDirtyKeyBatch.
+     * @type {String[]}
+     */
+    var dirtyKeyBatch = null;
+
+    /**
+     * Runs the function, and publishes the dirty keys that it causes in a single message.
+     * @param func
+     */
+    var withDirtyKeyBatch = function(func) {
+        var lines = dirtyKeyBatch = [];
+        try {
+            func();
+        } finally {
+            dirtyKeyBatch = null;
+        }
+
+        if (lines.length) {
+            publishDirtyLine(lines.join("\n"));
+        }
+    };
+
     /**
      * The dirty key timeout, if currently active.
      * @type {Object}
@@ -507,23 +3959,80 @@ function RedisMemcacheClient(redisClient, redisSubClient, options, cb) {
     /**
      * Publishes the dirty key.
      * @param key
-     *   Either a single key, or multiple separated by newlines.
+     * @param {Number} [deadline]
+     *   If specified, the new expiry deadline of the key is published as well.
+     */
+    var publishDirtyKey = function(key, deadline) {
+        if (deadline !== undefined) {
+            publishDirtyLine(escapeDirtyField(key) + "\tE\t" + (deadline || 0));
+        } else {
+            publishDirtyLine(escapeDirtyField(key));
+        }
+    };
+
+    /**
+     * Publishes dirty fields of a hash key.
+     * @param key
+     * @param {String[]} fields
+     */
+    var publishDirtyHashFields = function(key, fields) {
+        publishDirtyLine(_.map([key, 'H'].concat(fields), escapeDirtyField).join("\t"));
+    };
+
+    /**
+     * Publishes a line of the dirty key message.
+     *
+     * The message consists of the owner id followed by one line per key. A line may contain additional tab-separated
+     * fields. Tabs, newlines and percent signs in keys and hash fields are percent-escaped (see escapeDirtyField):
+     * - key\tE\t<deadline>: the expiry deadline of the key has changed (0 if the key no longer expires).
+     * - key\tH\t<field>[\t<field>...]: only the specified fields of the hash key are dirty.
+     * Control lines have an empty key:
+     * - \tP\t<rule>: the cache path rule (JSON, as accepted by importCachePaths) was set by broadcastCachePath.
+     * - \tR: the cache paths were reset by broadcastResetCachePaths.
+     *
+     * @param line
      */
-    var publishDirtyKey = function(key) {
+    var publishDirtyLine = function(line) {
+        if (transport === 'tracking') {
+            // The server sends the invalidations.
+            return;
+        }
+
+        countStat('published', unescapeDirtyField(line.split("\t")[0]));
+        if (dirtyKeyBatch) {
+            dirtyKeyBatch.push(line);
+            return;
+        }
+
         if (getDirtyKeyPublishDelay()) {
-            dirtyKeys.push(key);
+            dirtyKeys.push(line);
 
             if (!dirtyKeyTimeout) {
                 dirtyKeyTimeout = setTimeout(function() {
                     dirtyKeyTimeout = null;
                     var message = dirtyKeys.join("\n");
                     dirtyKeys = [];
-                    redisClient.publish(RedisMemcacheClient.DIRTY_KEY_CHANNEL, ownerId + "\n" + message);
+                    sendDirtyKeyMessage(message);
                 }, getDirtyKeyPublishDelay());
             }
         } else {
-            redisClient.publish(RedisMemcacheClient.DIRTY_KEY_CHANNEL, ownerId + "\n" + key);
+            sendDirtyKeyMessage(line);
+        }
+    };
+
+    /**
+     * Sends the dirty key lines to the other clients.
+     * With the tracking transport, only control lines are sent (on the dirty key channel).
+     * @param message
+     * @param [cb]
+     */
+    var sendDirtyKeyMessage = function(message, cb) {
+        var args = (transport === 'stream') ? [streamKey, 'MAXLEN', '~', streamMaxLen, '*', 'm'] : [dirtyKeyChannel];
+        args.push(ownerId + "\n" + message);
+        if (cb) {
+            args.push(cb);
         }
+        redisClient[transport === 'stream' ? 'xadd' : 'publish'].apply(redisClient, args);
     };
 
     /**
@@ -546,44 +4055,407 @@ function RedisMemcacheClient(redisClient, redisSubClient, options, cb) {
         var senderId = keys.shift();
 
         if (senderId !== ownerId) {
-            _.each(keys, function(key) {
-                stats.recvDirty++;
-                delCache(key);
+            _.each(keys, function(line) {
+                var fields = line.split("\t");
+                var key = unescapeDirtyField(fields[0]);
+                if (fields[0] === '' && fields[1] === 'P') {
+                    return receiveCachePath(fields[2]);
+                }
+                if (fields[0] === '' && fields[1] === 'R') {
+                    self.resetCachePaths();
+                    return self.cacheEvents.emit('cachePath', null);
+                }
+                countStat('recvDirty', key);
+                if (fields[1] === 'H') {
+                    var hashFields = _.map(fields.slice(2), unescapeDirtyField);
+                    delHashCache(key, hashFields);
+                    emitKeyEvent('invalidate', key, {origin: 'remote', fields: hashFields});
+                } else {
+                    delCache(key);
+                    emitKeyEvent('invalidate', key, {origin: 'remote'});
+                }
+                if (fields[1] === 'E') {
+                    setExpiry(key, parseInt(fields[2], 10) || null);
+                }
             });
         }
     };
 
     /**
      * Proxies all unknown functions to the redis client.
+     * Redis commands return a promise when called without callback.
      */
     var enableProxy = function() {
         for (var prop in redisClient) {
             if (_.isFunction(redisClient[prop])) {
                 if (!(prop in self)) {
                     (function(prop) {
-                        self[prop] = function() {
+                        var method = function() {
                             return redisClient[prop].apply(redisClient, arguments);
                         };
+                        self[prop] = PROMISE_COMMANDS.hasOwnProperty(prop.toLowerCase()) ? withPromise(method) : method;
                     })(prop);
                 }
             }
         }
     };
 
+    // Configure the cache paths of the options.
+    if (options.paths) {
+        self.importCachePaths(options.paths);
+    }
+
     // Start proxying calls immediately.
     enableProxy();
 
     // Start listening for dirty caches.
-    enableDirtyCacheChannel(cb || function(err) {
+    var enableTransport = {
+        pubsub: enableDirtyCacheChannel,
+        stream: enableDirtyKeyStream,
+        tracking: enableClientTracking
+    }[transport];
+    var initialized = cb || function(err) {
         if (err) {
             console.error(err);
         }
+    };
+    enableTransport(function(err) {
+        if (err) {
+            return initialized(err);
+        }
+        if (!initialWarm) {
+            self.cacheEvents.emit('ready');
+            return initialized();
+        }
+
+        // Warm the paths one after another before signalling that the client is ready. If warming fails, the client
+        // can still be used, so it is ready as well.
+        var warmPaths = initialWarm.paths.slice();
+        var warmOptions = _.omit(initialWarm, 'paths');
+        var warmNext = function(err) {
+            if (err || !warmPaths.length) {
+                self.cacheEvents.emit('ready');
+                return initialized(err);
+            }
+            self.warm(warmPaths.shift(), warmOptions, function(err) {
+                warmNext(err);
+            });
+        };
+        warmNext();
+    });
+
+}
+
+/**
+ * Redis commands that return a promise when called without callback via the proxy.
+ * MULTI is excluded because it returns a Multi object.
+ * @type {Object}
+ */
+var PROMISE_COMMANDS = _.keyBy(_.without(redisCommands.list, 'multi'));
+
+/**
+ * Returns the value as Redis replies with it after it was written: buffers as is, other values as strings.
+ * @param value
+ * @return {String|Buffer}
+ */
+var toReplyValue = function(value) {
+    return Buffer.isBuffer(value) ? value : String(value);
+};
+
+/**
+ * Percent-escapes the tabs and newlines of a key or hash field, so that it is read as one field of a dirty key line.
+ * @param value
+ * @return {String}
+ */
+var escapeDirtyField = function(value) {
+    return String(value).replace(/[%\t\n]/g, encodeURIComponent);
+};
+
+/**
+ * Reverts escapeDirtyField.
+ * @param {String} value
+ * @return {String}
+ */
+var unescapeDirtyField = function(value) {
+    return value.replace(/%(25|09|0A)/g, decodeURIComponent);
+};
+
+/**
+ * Compares two Redis Stream entry ids.
+ * @param {String} a
+ * @param {String} b
+ * @return {Number}
+ *   Negative if a is before b, positive if a is after b, 0 if equal.
+ */
+var compareStreamIds = function(a, b) {
+    var pa = a.split('-');
+    var pb = b.split('-');
+    return (pa[0] - pb[0]) || (pa[1] - pb[1]);
+};
+
+/**
+ * Stream transport: maximum number of entries per read.
+ * @type {Number}
+ */
+var STREAM_READ_COUNT = 100;
+
+/**
+ * Stream transport: maximum time that a read waits for new entries.
+ * @type {Number}
+ */
+var STREAM_BLOCK_MS = 5000;
+
+/**
+ * Stream transport: delay before retrying a failed read.
+ * @type {Number}
+ */
+var STREAM_RETRY_MS = 1000;
+
+/**
+ * Escapes the special characters of a Redis glob-style pattern.
+ * @param {String} str
+ * @return {String}
+ */
+var escapeGlobPattern = function(str) {
+    return str.replace(/[*?[\]\\]/g, '\\$&');
+};
+
+/**
+ * The maximum number of keys of which the resolved cache policy is kept. When it is reached, all are dropped.
+ * @type {Number}
+ */
+var MAX_RESOLVED_KEYS = 10000;
+
+/**
+ * The settings of cache policies (see setCachePath), with their types.
+ * @type {Object}
+ */
+var POLICY_SETTINGS = {
+    softTtl: 'number',
+    hardTtl: 'number',
+    maxEntries: 'number',
+    json: 'boolean',
+    codec: 'string',
+    byRef: 'boolean',
+    compress: 'boolean'
+};
+
+/**
+ * The codec of JSON values.
+ * @type {Object}
+ */
+var JSON_CODEC = {
+    encode: function(value) {
+        return JSON.stringify(value);
+    },
+    decode: function(value) {
+        return JSON.parse(value);
+    }
+};
+
+/**
+ * Throws if the codec is invalid.
+ * @param {String} name
+ * @param {Object} codec
+ */
+function validateCodec(name, codec) {
+    if (!_.isString(name) || !name) {
+        throw new Error('Invalid codec name: ' + name);
+    }
+    if (!codec || !_.isFunction(codec.encode) || !_.isFunction(codec.decode)) {
+        throw new Error('Invalid codec: ' + name);
+    }
+}
+
+/**
+ * Values of at least this many bytes are compressed on paths with the compress policy.
+ * @type {Number}
+ */
+var COMPRESSION_MIN_BYTES = 1024;
+
+/**
+ * The version of the format of the files written by saveSnapshot.
+ * @type {Number}
+ */
+var SNAPSHOT_VERSION = 1;
+
+/**
+ * A cached value that is stored compressed.
+ * @param {Buffer} buffer
+ *   The raw deflated value.
+ * @constructor
+ */
+function CompressedValue(buffer) {
+    this.buffer = buffer;
+}
+
+/**
+ * The key of the enabled tree items of '*' and '{name}' path segments, which match any segment.
+ * @type {String}
+ */
+var WILDCARD_SEGMENT = '*';
+
+/**
+ * The counters of the cache statistics.
+ * @type {String[]}
+ */
+var STAT_COUNTERS = ['hits', 'misses', 'recvDirty', 'evictions', 'refreshes', 'published', 'jsonParses', 'decodes'];
+
+/**
+ * Prefix of the metric names.
+ * @type {String}
+ */
+var METRICS_PREFIX = 'redis_memcache_';
+
+/**
+ * The metrics per path, with a function that returns the value from the snapshot of the path statistics.
+ * @type {Object[]}
+ */
+var METRICS = [
+    {name: 'hits', type: 'counter', help: 'Reads served from the local cache.', value: _.property('hits')},
+    {name: 'misses', type: 'counter', help: 'Reads of cached paths fetched from Redis.', value: _.property('misses')},
+    {name: 'evictions', type: 'counter', help: 'Keys evicted from the local cache.', value: _.property('evictions')},
+    {
+        name: 'invalidations_received', type: 'counter', help: 'Dirty keys received from other clients or the server.',
+        value: _.property('recvDirty')
+    },
+    {
+        name: 'invalidations_published', type: 'counter', help: 'Dirty keys published to other clients.',
+        value: _.property('published')
+    },
+    {name: 'entries', type: 'gauge', help: 'Keys in the local cache.', value: _.property('cache.entries')},
+    {name: 'bytes', type: 'gauge', help: 'Estimated size of the local cache.', value: _.property('cache.bytes')},
+    {name: 'fetches_in_flight', type: 'gauge', help: 'Keys being fetched from Redis.', value: _.property('fetching')}
+];
+
+/**
+ * Returns the labels of a metric in the Prometheus text format.
+ * @param {Object} labels
+ * @return {String}
+ */
+function formatMetricLabels(labels) {
+    return '{' + _.map(labels, function(value, name) {
+        return name + '="' + String(value).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n') + '"';
+    }).join(',') + '}';
+}
+
+/**
+ * Upper bounds, in millis, of the buckets of the latency histograms.
+ * @type {Number[]}
+ */
+var LATENCY_BUCKETS = [0.5, 1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Returns new cache statistics, with zero counters.
+ * @return {Object}
+ */
+function createStats() {
+    var stats = {missLatency: new LatencyHistogram()};
+    _.each(STAT_COUNTERS, function(name) {
+        stats[name] = 0;
     });
+    return stats;
+}
+
+/**
+ * Returns a copy of the cache statistics that does not change afterwards, with empty memory usage.
+ * @param {Object} stats
+ * @return {Object}
+ */
+function getStatsSnapshot(stats) {
+    var snapshot = _.pick(stats, STAT_COUNTERS);
+    snapshot.missLatency = stats.missLatency.getSnapshot();
+    snapshot.cache = {entries: 0, bytes: 0};
+    snapshot.jsonCache = {entries: 0, bytes: 0};
+    snapshot.decodedCache = {entries: 0, bytes: 0};
+    snapshot.fetching = 0;
+    return snapshot;
+}
 
+/**
+ * Histogram of latencies in millis. The buckets are fixed, so that its memory usage does not grow.
+ * @constructor
+ */
+function LatencyHistogram() {
+    this.counts = _.map(LATENCY_BUCKETS.concat(Infinity), _.constant(0));
+    this.count = 0;
+    this.sum = 0;
+    this.max = 0;
 }
 
 /**
- * Redis channel on which dirty keys are exchanged.
+ * Adds a latency to the histogram.
+ * @param {Number} ms
+ */
+LatencyHistogram.prototype.record = function(ms) {
+    this.counts[_.sortedIndex(LATENCY_BUCKETS, ms)]++;
+    this.count++;
+    this.sum += ms;
+    this.max = Math.max(this.max, ms);
+};
+
+/**
+ * Returns the estimated latency below which the fraction of the latencies falls, interpolated within its bucket.
+ * @param {Number} fraction
+ * @return {Number}
+ *   Null if no latencies were recorded.
+ */
+LatencyHistogram.prototype.getPercentile = function(fraction) {
+    if (!this.count) {
+        return null;
+    }
+
+    var rank = fraction * this.count;
+    var below = 0;
+    for (var i = 0; i < this.counts.length; i++) {
+        if (below + this.counts[i] >= rank && this.counts[i]) {
+            var lower = i ? LATENCY_BUCKETS[i - 1] : 0;
+            var upper = Math.min(i < LATENCY_BUCKETS.length ? LATENCY_BUCKETS[i] : this.max, this.max);
+            return lower + (upper - lower) * (rank - below) / this.counts[i];
+        }
+        below += this.counts[i];
+    }
+    return this.max;
+};
+
+/**
+ * Returns a copy of the histogram.
+ * @return {{count: Number, sum: Number, max: Number, buckets: Object, p50: Number, p90: Number, p99: Number}}
+ *   The buckets contain the cumulative count per upper bound (like Prometheus, with '+Inf' for the last bucket).
+ */
+LatencyHistogram.prototype.getSnapshot = function() {
+    var buckets = {};
+    var cumulative = 0;
+    _.each(this.counts, function(count, i) {
+        cumulative += count;
+        buckets[i < LATENCY_BUCKETS.length ? String(LATENCY_BUCKETS[i]) : '+Inf'] = cumulative;
+    });
+    return {
+        count: this.count,
+        sum: this.sum,
+        max: this.max,
+        buckets: buckets,
+        p50: this.getPercentile(0.5),
+        p90: this.getPercentile(0.9),
+        p99: this.getPercentile(0.99)
+    };
+};
+
+/**
+ * Tracking transport: the channel on which the server sends invalidations.
+ * @type {String}
+ */
+var TRACKING_CHANNEL = '__redis__:invalidate';
+
+/**
+ * Commands of a Multi object that are not queued.
+ * @type {Object}
+ */
+var MULTI_CONTROL_COMMANDS = _.keyBy(['multi', 'exec', 'discard']);
+
+/**
+ * Default Redis channel on which dirty keys are exchanged.
+ * Use options.channel to run independent caches on the same Redis server.
  * @type {string}
  */
 RedisMemcacheClient.DIRTY_KEY_CHANNEL = '_dcache';
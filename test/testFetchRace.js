@@ -0,0 +1,191 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+var RedisMemcacheClient = require('../lib/redis-memory-cache');
+var should = require('should');
+var _ = require('lodash');
+
+/**
+ * Fake Redis client that keeps the replies of commands until the test sends them, so that the order of replies and
+ * dirty key messages can be controlled.
+ * @constructor
+ */
+function FakeRedisClient() {
+    EventEmitter.call(this);
+    this.pending = [];
+}
+
+util.inherits(FakeRedisClient, EventEmitter);
+
+_.each(['get', 'mget', 'set', 'hget', 'hmget', 'hgetall', 'publish'], function(command) {
+    FakeRedisClient.prototype[command] = function() {
+        var args = Array.prototype.slice.apply(arguments);
+        var cb = _.isFunction(_.last(args)) ? args.pop() : _.noop;
+        this.pending.push({command: command, args: args, cb: cb});
+    };
+});
+
+// Keys are fetched without expiry, and the replies to PTTL are not controlled by the tests.
+FakeRedisClient.prototype.pttl = function(key, cb) {
+    process.nextTick(cb, null, -1);
+};
+
+FakeRedisClient.prototype.subscribe = function(channel, cb) {
+    process.nextTick(cb);
+};
+
+/**
+ * Sends the reply of the first pending command with the name.
+ * @param command
+ * @param res
+ */
+FakeRedisClient.prototype.reply = function(command, res) {
+    var index = _.findIndex(this.pending, {command: command});
+    should(index).not.equal(-1);
+    this.pending.splice(index, 1)[0].cb(null, res);
+};
+
+describe('fetch races', function() {
+    var redisClient, redisSubClient;
+
+    /**
+     * @type RedisMemcacheClient.
+     */
+    var mcRedis;
+
+    /**
+     * Receives a dirty key message from another client.
+     * @param line
+     */
+    var receiveDirty = function(line) {
+        redisSubClient.emit('message', RedisMemcacheClient.DIRTY_KEY_CHANNEL, "other\n" + line);
+    };
+
+    /**
+     * Returns the value that is returned from cache.
+     * @param key
+     */
+    var getCached = function(key) {
+        should(mcRedis.isCached(key)).equal(true);
+        var value;
+        mcRedis.get(key, function(err, res) {
+            value = res;
+        });
+        return value;
+    };
+
+    beforeEach(function(done) {
+        redisClient = new FakeRedisClient();
+        redisSubClient = new FakeRedisClient();
+        mcRedis = new RedisMemcacheClient(redisClient, redisSubClient, {dirtyKeyPublishDelay: 0}, done);
+        mcRedis.setCachePath(['race'], true);
+    });
+
+    it('should cache a fetched value', function(cb) {
+        mcRedis.get('race:key1', function(err, res) {
+            should(res).equal("a");
+            should(getCached('race:key1')).equal("a");
+            cb(err);
+        });
+        redisClient.reply('get', "a");
+    });
+    it('should not cache a GET reply when a dirty key was received while fetching', function(cb) {
+        mcRedis.get('race:key1', function(err, res) {
+            should(res).equal("a");
+            should(mcRedis.isCached('race:key1')).equal(false);
+            cb(err);
+        });
+        receiveDirty('race:key1');
+        redisClient.reply('get', "a");
+    });
+    it('should not overwrite a SET that completed while fetching', function(cb) {
+        mcRedis.get('race:key1', function(err, res) {
+            should(getCached('race:key1')).equal("b");
+            cb(err);
+        });
+        mcRedis.set('race:key1', "b", _.noop);
+        redisClient.reply('set', "OK");
+        redisClient.reply('get', "a");
+    });
+    it('should not join a fetch that was sent before a dirty key was received', function(cb) {
+        var replies = {};
+        var receive = function(name) {
+            return function(err, res) {
+                replies[name] = res;
+                if (_.size(replies) === 2) {
+                    should(replies).eql({a: "old", b: "new"});
+                    should(getCached('race:key1')).equal("new");
+                    cb(err);
+                }
+            };
+        };
+        mcRedis.get('race:key1', receive('a'));
+        receiveDirty('race:key1');
+        mcRedis.get('race:key1', receive('b'));
+        should(redisClient.pending.length).equal(2);
+        redisClient.reply('get', "old");
+        redisClient.reply('get', "new");
+    });
+    it('should not join a fetch that was sent before the key was set dirty', function(cb) {
+        mcRedis.get('race:key1', _.noop);
+        mcRedis.setDirty('race:key1');
+        mcRedis.get('race:key1', function(err, res) {
+            should(res).equal("new");
+            cb(err);
+        });
+        should(redisClient.pending.length).equal(2);
+        redisClient.reply('get', "old");
+        redisClient.reply('get', "new");
+    });
+    it('should not join a fetch that was sent before the cache was flushed', function(cb) {
+        mcRedis.get('race:key1', _.noop);
+        mcRedis.flushCache();
+        mcRedis.get('race:key1', function(err, res) {
+            should(res).equal("new");
+            should(getCached('race:key1')).equal("new");
+            cb(err);
+        });
+        should(redisClient.pending.length).equal(2);
+        redisClient.reply('get', "old");
+        redisClient.reply('get', "new");
+    });
+    it('should only cache the MGET replies of keys that were not invalidated', function(cb) {
+        mcRedis.mget(['race:key1', 'race:key2'], function(err, res) {
+            should(_.isEqual(res, ["a", "b"])).equal(true);
+            should(getCached('race:key1')).equal("a");
+            should(mcRedis.isCached('race:key2')).equal(false);
+            cb(err);
+        });
+        receiveDirty('race:key2');
+        redisClient.reply('mget', ["a", "b"]);
+    });
+    it('should not cache a reply when the cache was flushed while fetching', function(cb) {
+        mcRedis.get('race:key1', function(err, res) {
+            should(mcRedis.isCached('race:key1')).equal(false);
+            cb(err);
+        });
+        mcRedis.flushCache();
+        redisClient.reply('get', "a");
+    });
+    it('should not cache an HGET reply when a dirty hash field was received while fetching', function(cb) {
+        mcRedis.hget('race:hash1', 'field1', function(err, res) {
+            should(res).equal("a");
+            mcRedis.hget('race:hash1', 'field1', _.noop);
+            should(redisClient.pending.length).equal(1);
+            cb(err);
+        });
+        receiveDirty("race:hash1\tH\tfield1");
+        redisClient.reply('hget', "a");
+    });
+    it('should cache the replies of concurrent HGETs of the same hash', function(cb) {
+        mcRedis.hget('race:hash1', 'field1', _.noop);
+        mcRedis.hget('race:hash1', 'field2', function(err, res) {
+            mcRedis.hmget('race:hash1', ['field1', 'field2'], function(err, res) {
+                should(_.isEqual(res, ["a", "b"])).equal(true);
+                should(redisClient.pending.length).equal(0);
+                cb(err);
+            });
+        });
+        redisClient.reply('hget', "a");
+        redisClient.reply('hget', "b");
+    });
+});
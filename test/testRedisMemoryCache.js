@@ -659,4 +659,2655 @@ describe('redis-memory-cache module', function() {
 
     });
 
+    describe('bounded cache', function() {
+        var redisSub3, redisSub4;
+        var mcLru, mcLfu;
+
+        before(function() {
+            redisSub3 = redis.createClient(port, host);
+            redisSub4 = redis.createClient(port, host);
+            mcLru = new RedisMemcacheClient(redis1, redisSub3, {dirtyKeyPublishDelay: 100, maxEntries: 2});
+            mcLfu = new RedisMemcacheClient(redis1, redisSub4, {dirtyKeyPublishDelay: 100, maxEntries: 2, evictionPolicy: 'lfu'});
+            mcLru.setCachePath(getPath(['bounded']), true);
+            mcLfu.setCachePath(getPath(['bounded']), true);
+        });
+
+        it('should reject an unknown eviction policy', function() {
+            (function() {
+                new RedisMemcacheClient(redis1, redisSub3, {evictionPolicy: 'random'});
+            }).should.throw();
+        });
+
+        describe('lru', function() {
+            it('should set 2 keys', function(cb) {
+                mcLru.mset(getKey(["bounded", "key1"]), "a", getKey(["bounded", "key2"]), "b", cb);
+            });
+            it('should get key1 from cache', function(cb) {
+                shouldGet(mcLru, getKey(["bounded", "key1"]), "a", cb);
+            });
+            it('should set a third key', function(cb) {
+                mcLru.set(getKey(["bounded", "key3"]), "c", cb);
+            });
+            it('should have evicted the least recently used key2', function(cb) {
+                should(mcLru.isCached(getKey(["bounded", "key1"]))).equal(true);
+                should(mcLru.isCached(getKey(["bounded", "key2"]))).equal(false);
+                should(mcLru.isCached(getKey(["bounded", "key3"]))).equal(true);
+                should(mcLru.getCacheStats().evictions).equal(1);
+                shouldCacheStatus(mcLru, 1, 0, 0, true, cb);
+            });
+            it('should get key2 from redis', function(cb) {
+                shouldGet(mcLru, getKey(["bounded", "key2"]), "b", cb);
+            });
+            it('should cause cache miss and eviction', function(cb) {
+                should(mcLru.getCacheStats().evictions).equal(1);
+                shouldCacheStatus(mcLru, 0, 1, 0, true, cb);
+            });
+        });
+
+        describe('lfu', function() {
+            it('should set 2 keys', function(cb) {
+                mcLfu.mset(getKey(["bounded", "key1"]), "a", getKey(["bounded", "key2"]), "b", cb);
+            });
+            it('should get key2 twice and key1 once from cache', function(cb) {
+                async.series([
+                    function(cb) {shouldGet(mcLfu, getKey(["bounded", "key2"]), "b", cb);},
+                    function(cb) {shouldGet(mcLfu, getKey(["bounded", "key2"]), "b", cb);},
+                    function(cb) {shouldGet(mcLfu, getKey(["bounded", "key1"]), "a", cb);}
+                ], cb);
+            });
+            it('should set a third key', function(cb) {
+                mcLfu.set(getKey(["bounded", "key3"]), "c", cb);
+            });
+            it('should have evicted the least frequently used key1', function(cb) {
+                should(mcLfu.isCached(getKey(["bounded", "key1"]))).equal(false);
+                should(mcLfu.isCached(getKey(["bounded", "key2"]))).equal(true);
+                should(mcLfu.isCached(getKey(["bounded", "key3"]))).equal(true);
+                should(mcLfu.getCacheStats().evictions).equal(1);
+                shouldCacheStatus(mcLfu, 3, 0, 0, true, cb);
+            });
+        });
+
+        describe('max bytes', function() {
+            var mcBytes;
+
+            before(function() {
+                mcBytes = new RedisMemcacheClient(redis1, redisSub3, {dirtyKeyPublishDelay: 100, maxBytes: 100});
+                mcBytes.setCachePath(getPath(['bounded']), true);
+            });
+
+            it('should not cache values that exceed the limit', function(cb) {
+                var big = new Array(101).join("x");
+                mcBytes.set(getKey(["bounded", "big"]), big, function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    should(mcBytes.isCached(getKey(["bounded", "big"]))).equal(false);
+                    shouldGet(mcBytes, getKey(["bounded", "big"]), big, cb);
+                });
+            });
+            it('should evict keys to stay within the limit', function(cb) {
+                var val = new Array(41).join("x");
+                mcBytes.mset(getKey(["bounded", "key1"]), val, getKey(["bounded", "key2"]), val, function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    should(mcBytes.isCached(getKey(["bounded", "key1"]))).equal(false);
+                    should(mcBytes.isCached(getKey(["bounded", "key2"]))).equal(true);
+                    should(mcBytes.getCacheStats().evictions).equal(1);
+                    cb();
+                });
+            });
+        });
+
+        after(function(done) {
+            // Wait for the dirty keys to be received by the other clients.
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('key expiry', function() {
+        before(function() {
+            mcRedis1.setCachePath(getPath(['expiring']), true);
+            mcRedis2.setCachePath(getPath(['expiring']), true);
+        });
+
+        it('should set with PX on E1', function(cb) {
+            mcRedis1.set(getKey(["expiring", "key1"]), "val", "PX", 300, cb);
+        });
+        it('should cause dirty key on E2', function(cb) {
+            shouldCacheStatus(mcRedis2, 0, 0, 1, true, cb);
+        });
+        it('should get the value on E1 and E2', function(cb) {
+            async.series([
+                function(cb) {shouldGet(mcRedis1, getKey(["expiring", "key1"]), "val", cb);},
+                function(cb) {shouldGet(mcRedis2, getKey(["expiring", "key1"]), "val", cb);}
+            ], cb);
+        });
+        it('should cause cache hit on E1 and cache miss on E2', function(cb) {
+            async.series([
+                function(cb) {shouldCacheStatus(mcRedis1, 1, 0, 0, true, cb);},
+                function(cb) {shouldCacheStatus(mcRedis2, 0, 1, 0, true, cb);}
+            ], cb);
+        });
+        it('should no longer have the key cached after it expired', function(cb) {
+            setTimeout(function() {
+                should(mcRedis1.isCached(getKey(["expiring", "key1"]))).equal(false);
+                should(mcRedis2.isCached(getKey(["expiring", "key1"]))).equal(false);
+                shouldGet(mcRedis2, getKey(["expiring", "key1"]), null, cb);
+            }, 350);
+        });
+        it('should cause cache miss on E2', function(cb) {
+            shouldCacheStatus(mcRedis2, 0, 1, 0, true, cb);
+        });
+
+        it('should setex and persist on E1', function(cb) {
+            async.series([
+                function(cb) {mcRedis1.setex(getKey(["expiring", "key2"]), 1, "val", cb);},
+                function(cb) {mcRedis1.persist(getKey(["expiring", "key2"]), cb);}
+            ], cb);
+        });
+        it('should cause 2 dirty keys on E2', function(cb) {
+            shouldCacheStatus(mcRedis2, 0, 0, 2, true, cb);
+        });
+        it('should still have the key cached after the original expiry', function(cb) {
+            setTimeout(function() {
+                should(mcRedis1.isCached(getKey(["expiring", "key2"]))).equal(true);
+                shouldGet(mcRedis1, getKey(["expiring", "key2"]), "val", cb);
+            }, 1100);
+        });
+
+        it('should pexpire on E1', function(cb) {
+            mcRedis1.pexpire(getKey(["expiring", "key2"]), 100, cb);
+        });
+        it('should get the value on E2', function(cb) {
+            shouldGet(mcRedis2, getKey(["expiring", "key2"]), "val", cb);
+        });
+        it('should no longer have the key cached on E2 after it expired', function(cb) {
+            setTimeout(function() {
+                should(mcRedis2.isCached(getKey(["expiring", "key2"]))).equal(false);
+                shouldGet(mcRedis2, getKey(["expiring", "key2"]), null, cb);
+            }, 150);
+        });
+
+        it('should know the expiry of keys that expired before the client started', function(cb) {
+            var key = getKey(["expiring", "key3"]);
+            redis1.set(key, "val", "EX", 1, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                var mcRedis3 = new RedisMemcacheClient(redis.createClient(port, host), redis.createClient(port, host),
+                    {dirtyKeyPublishDelay: 0}, function(err) {
+                        if (err) {
+                            return cb(err);
+                        }
+                        mcRedis3.setCachePath(getPath(['expiring']), true);
+                        shouldGet(mcRedis3, key, "val", function(err) {
+                            if (err) {
+                                return cb(err);
+                            }
+                            should(mcRedis3.isCached(key)).equal(true);
+                            setTimeout(function() {
+                                should(mcRedis3.isCached(key)).equal(false);
+                                shouldGet(mcRedis3, key, null, cb);
+                            }, 1100);
+                        });
+                    });
+            });
+        });
+
+        after(function(done) {
+            mcRedis1.resetCacheStats();
+            mcRedis2.resetCacheStats();
+            clearRedisTestKeys(done);
+        });
+    });
+
+    describe('promises', function() {
+        before(function() {
+            mcRedis1.setCachePath(getPath(['promised']), true);
+            mcRedis2.setCachePath(getPath(['promised']), true);
+        });
+
+        it('should set and get with promises on E1', function() {
+            return mcRedis1.set(getKey(["promised", "key1"]), JSON.stringify({test: 1})).then(function(res) {
+                should(res).equal("OK");
+                return mcRedis1.get(getKey(["promised", "key1"]));
+            }).then(function(res) {
+                should(res).equal(JSON.stringify({test: 1}));
+            });
+        });
+        it('should get json with a promise on E1', function() {
+            return mcRedis1.get(getKey(["promised", "key1"]), null, true).then(function(res) {
+                should(_.isEqual(res, {test: 1})).equal(true);
+            });
+        });
+        it('should mset, mget and del with promises on E2', function() {
+            return mcRedis2.mset(getKey(["promised", "key2"]), "a", getKey(["promised", "key3"]), "b").then(function() {
+                return mcRedis2.mget([getKey(["promised", "key1"]), getKey(["promised", "key2"]), getKey(["promised", "key3"])]);
+            }).then(function(res) {
+                should(_.isEqual(res, [JSON.stringify({test: 1}), "a", "b"])).equal(true);
+                return mcRedis2.del(getKey(["promised", "key2"]));
+            }).then(function(res) {
+                should(res).equal(1);
+                return mcRedis2.get(getKey(["promised", "key2"]));
+            }).then(function(res) {
+                should(res).equal(null);
+            });
+        });
+        it('should return promises for proxied commands', function() {
+            return mcRedis1.incr(getKey(["not-cached", "counter"])).then(function(res) {
+                should(res).equal(1);
+            });
+        });
+        it('should reject the promise on errors', function() {
+            return mcRedis1.incr(getKey(["promised", "key1"])).then(function() {
+                throw new Error("Expected an error");
+            }, function(err) {
+                should(err).be.an.instanceOf(Error);
+            });
+        });
+        it('should emit the errors of commands without callback on commandError', function(cb) {
+            mcRedis1.cacheEvents.once('commandError', function(err) {
+                should(err).be.an.instanceOf(Error);
+                cb();
+            });
+            mcRedis1.incr(getKey(["promised", "key1"]));
+        });
+        it('should not handle rejections without commandError listeners', function(cb) {
+            var onUnhandled = function(err) {
+                process.removeListener('unhandledRejection', onUnhandled);
+                should(err).be.an.instanceOf(Error);
+                cb();
+            };
+            var listeners = process.listeners('unhandledRejection');
+            process.removeAllListeners('unhandledRejection');
+            process.on('unhandledRejection', onUnhandled);
+            mcRedis1.incr(getKey(["promised", "key1"]));
+            setTimeout(function() {
+                _.each(listeners, function(listener) {
+                    process.on('unhandledRejection', listener);
+                });
+            }, 50);
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('options object', function() {
+        var obj = {test: 1};
+
+        before(function(done) {
+            mcRedis1.setCachePath(getPath(['options']), true);
+            mcRedis1.set(getKey(["options", "key1"]), JSON.stringify(obj), done);
+        });
+
+        it('should get json by reference', function(cb) {
+            mcRedis1.get(getKey(["options", "key1"]), {json: true, byRef: true}, function(err, res) {
+                if (err) {
+                    return cb(err);
+                }
+                should(_.isEqual(res, obj)).equal(true);
+                mcRedis1.get(getKey(["options", "key1"]), {json: true, byRef: true}, function(err, res2) {
+                    should(res2 === res).equal(true);
+                    cb(err);
+                });
+            });
+        });
+        it('should mget json by reference', function(cb) {
+            mcRedis1.mget([getKey(["options", "key1"])], {json: true, byRef: true}, function(err, res) {
+                if (err) {
+                    return cb(err);
+                }
+                mcRedis1.get(getKey(["options", "key1"]), {json: true, byRef: true}, function(err, res2) {
+                    should(res2 === res[0]).equal(true);
+                    cb(err);
+                });
+            });
+        });
+        it('should cause 4 cache hits', function(cb) {
+            shouldCacheStatus(mcRedis1, 4, 0, 0, true, cb);
+        });
+        it('should return a promise when called with options only', function() {
+            return mcRedis1.get(getKey(["options", "key1"]), {json: true}).then(function(res) {
+                should(_.isEqual(res, obj)).equal(true);
+            });
+        });
+        it('should bypass the cache', function(cb) {
+            redis1.set(getKey(["options", "key1"]), "changed", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                async.series([
+                    function(cb) {shouldGet(mcRedis1, getKey(["options", "key1"]), JSON.stringify(obj), cb);},
+                    function(cb) {
+                        mcRedis1.get(getKey(["options", "key1"]), {bypassCache: true}, function(err, res) {
+                            should(res).equal("changed");
+                            cb(err);
+                        });
+                    },
+                    function(cb) {
+                        mcRedis1.mget([getKey(["options", "key1"])], {bypassCache: true}, function(err, res) {
+                            should(_.isEqual(res, ["changed"])).equal(true);
+                            cb(err);
+                        });
+                    },
+                    function(cb) {shouldGet(mcRedis1, getKey(["options", "key1"]), JSON.stringify(obj), cb);}
+                ], cb);
+            });
+        });
+        it('should refetch values that are older than maxStaleMs', function(cb) {
+            setTimeout(function() {
+                mcRedis1.get(getKey(["options", "key1"]), {maxStaleMs: 1000}, function(err, res) {
+                    should(res).equal(JSON.stringify(obj));
+                    mcRedis1.get(getKey(["options", "key1"]), {maxStaleMs: 10}, function(err, res) {
+                        should(res).equal("changed");
+                        cb(err);
+                    });
+                });
+            }, 20);
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('hashes', function() {
+        var key;
+
+        before(function() {
+            key = getKey(["hashes", "key1"]);
+            mcRedis1.setCachePath(getPath(['hashes']), true);
+            mcRedis2.setCachePath(getPath(['hashes']), true);
+        });
+
+        var shouldHgetall = function(rc, expected, cb) {
+            rc.hgetall(key, function(err, res) {
+                if (err) {
+                    return cb(err);
+                }
+                should(_.isEqual(res, expected)).equal(true);
+                cb();
+            });
+        };
+
+        it('should hmset on E1', function(cb) {
+            mcRedis1.hmset(key, {a: "1", b: "2"}, cb);
+        });
+        it('should cause dirty key on E2', function(cb) {
+            shouldCacheStatus(mcRedis2, 0, 0, 1, true, cb);
+        });
+        it('should hget a cached field on E1', function(cb) {
+            mcRedis1.hget(key, "a", function(err, res) {
+                should(res).equal("1");
+                shouldCacheStatus(mcRedis1, 1, 0, 0, true, cb);
+            });
+        });
+        it('should hgetall on E2', function(cb) {
+            shouldHgetall(mcRedis2, {a: "1", b: "2"}, cb);
+        });
+        it('should hgetall and hmget from cache on E2', function(cb) {
+            shouldHgetall(mcRedis2, {a: "1", b: "2"}, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mcRedis2.hmget(key, "a", "b", "c", function(err, res) {
+                    should(_.isEqual(res, ["1", "2", null])).equal(true);
+                    shouldCacheStatus(mcRedis2, 4, 1, 0, true, cb);
+                });
+            });
+        });
+        it('should hset, hincrby and hdel fields on E1', function(cb) {
+            async.series([
+                function(cb) {mcRedis1.hset(key, "c", "3", cb);},
+                function(cb) {mcRedis1.hincrby(key, "a", 5, cb);},
+                function(cb) {mcRedis1.hdel(key, "b", cb);}
+            ], cb);
+        });
+        it('should cause 3 dirty keys on E2', function(cb) {
+            shouldCacheStatus(mcRedis2, 0, 0, 3, true, cb);
+        });
+        it('should hgetall updated fields on E1 from cache', function(cb) {
+            mcRedis1.hmget(key, ["a", "b", "c"], function(err, res) {
+                should(_.isEqual(res, ["6", null, "3"])).equal(true);
+                shouldCacheStatus(mcRedis1, 3, 0, 0, true, cb);
+            });
+        });
+        it('should only refetch the dirty fields on E2', function(cb) {
+            mcRedis2.hmget(key, ["a", "b", "c"], function(err, res) {
+                should(_.isEqual(res, ["6", null, "3"])).equal(true);
+                shouldCacheStatus(mcRedis2, 0, 3, 0, true, cb);
+            });
+        });
+        it('should hgetall updated fields on E2', function(cb) {
+            shouldHgetall(mcRedis2, {a: "6", c: "3"}, cb);
+        });
+        it('should return the same value types from cache and from Redis', function(cb) {
+            mcRedis1.resetCacheStats();
+            mcRedis2.resetCacheStats();
+            mcRedis1.hmset(key, {d: 4}, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mcRedis1.hget(key, "d", function(err, cached) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    setTimeout(function() {
+                        mcRedis2.hget(key, "d", function(err, fetched) {
+                            should(cached).equal("4");
+                            should(fetched).equal("4");
+                            shouldCacheStatus(mcRedis1, 1, 0, 0, true, function(err) {
+                                if (err) {
+                                    return cb(err);
+                                }
+                                shouldCacheStatus(mcRedis2, 0, 1, 1, true, cb);
+                            });
+                        });
+                    }, 200);
+                });
+            });
+        });
+        it('should delete the hash on E1', function(cb) {
+            mcRedis1.del(key, cb);
+        });
+        it('should hgetall the deleted hash on E2', function(cb) {
+            setTimeout(function() {
+                shouldHgetall(mcRedis2, null, cb);
+            }, 200);
+        });
+
+        after(function(done) {
+            mcRedis1.resetCacheStats();
+            mcRedis2.resetCacheStats();
+            clearRedisTestKeys(done);
+        });
+    });
+
+    describe('mutating string commands', function() {
+        var key;
+
+        before(function() {
+            key = getKey(["mutating", "key1"]);
+            mcRedis1.setCachePath(getPath(['mutating']), true);
+            mcRedis2.setCachePath(getPath(['mutating']), true);
+        });
+
+        it('should set on E1 and get on E2', function(cb) {
+            mcRedis1.set(key, "1", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                shouldGet(mcRedis2, key, "1", cb);
+            });
+        });
+        it('should incr and incrby on E1', function(cb) {
+            async.series([
+                function(cb) {mcRedis1.incr(key, cb);},
+                function(cb) {mcRedis1.incrby(key, 10, cb);}
+            ], cb);
+        });
+        it('should get the incremented value on E1 from cache', function(cb) {
+            shouldGet(mcRedis1, key, "12", function(err) {
+                should(mcRedis1.isCached(key)).equal(true);
+                cb(err);
+            });
+        });
+        it('should get the incremented value on E2', function(cb) {
+            setTimeout(function() {
+                shouldGet(mcRedis2, key, "12", cb);
+            }, 200);
+        });
+        it('should append on E1', function(cb) {
+            mcRedis1.append(key, "ab", cb);
+        });
+        it('should get the appended value on E1 from cache and on E2', function(cb) {
+            should(mcRedis1.isCached(key)).equal(true);
+            shouldGet(mcRedis1, key, "12ab", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                setTimeout(function() {
+                    shouldGet(mcRedis2, key, "12ab", cb);
+                }, 200);
+            });
+        });
+        it('should getset on E2', function(cb) {
+            mcRedis2.getset(key, "x", function(err, res) {
+                should(res).equal("12ab");
+                cb(err);
+            });
+        });
+        it('should get the new value on E1', function(cb) {
+            setTimeout(function() {
+                shouldGet(mcRedis1, key, "x", cb);
+            }, 200);
+        });
+        it('should not change the cache when setnx fails on E1', function(cb) {
+            mcRedis1.setnx(key, "y", function(err, res) {
+                should(res).equal(0);
+                shouldGet(mcRedis1, key, "x", cb);
+            });
+        });
+        it('should cache the value when setnx succeeds on E1', function(cb) {
+            mcRedis1.setnx(getKey(["mutating", "key2"]), "y", function(err, res) {
+                should(res).equal(1);
+                should(mcRedis1.isCached(getKey(["mutating", "key2"]))).equal(true);
+                shouldGet(mcRedis1, getKey(["mutating", "key2"]), "y", cb);
+            });
+        });
+        it('should not change the cache when msetnx fails on E1', function(cb) {
+            mcRedis1.msetnx(getKey(["mutating", "key2"]), "z", getKey(["mutating", "key3"]), "z", function(err, res) {
+                should(res).equal(0);
+                should(mcRedis1.isCached(getKey(["mutating", "key3"]))).equal(false);
+                shouldGet(mcRedis1, getKey(["mutating", "key2"]), "y", cb);
+            });
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('renaming keys', function() {
+        var src, dst;
+
+        before(function(done) {
+            src = getKey(["renaming", "src"]);
+            dst = getKey(["renaming", "dst"]);
+            mcRedis1.setCachePath(getPath(['renaming']), true);
+            mcRedis2.setCachePath(getPath(['renaming']), true);
+            mcRedis1.mset(src, "a", dst, "b", done);
+        });
+
+        it('should get both keys on E2', function(cb) {
+            setTimeout(function() {
+                var expected = {};
+                expected[src] = "a";
+                expected[dst] = "b";
+                shouldMget(mcRedis2, expected, function(err) {
+                    mcRedis2.resetCacheStats();
+                    cb(err);
+                });
+            }, 200);
+        });
+        it('should rename on E1', function(cb) {
+            mcRedis1.rename(src, dst, cb);
+        });
+        it('should have moved the cached value on E1', function(cb) {
+            should(mcRedis1.isCached(dst)).equal(true);
+            var expected = {};
+            expected[src] = null;
+            expected[dst] = "a";
+            shouldMget(mcRedis1, expected, cb);
+        });
+        it('should cause 2 dirty keys on E2', function(cb) {
+            shouldCacheStatus(mcRedis2, 0, 0, 2, true, cb);
+        });
+        it('should get the renamed values on E2', function(cb) {
+            var expected = {};
+            expected[src] = null;
+            expected[dst] = "a";
+            shouldMget(mcRedis2, expected, cb);
+        });
+        it('should not change the cache when renamenx fails on E1', function(cb) {
+            mcRedis1.set(src, "c", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mcRedis1.renamenx(src, dst, function(err, res) {
+                    should(res).equal(0);
+                    var expected = {};
+                    expected[src] = "c";
+                    expected[dst] = "a";
+                    shouldMget(mcRedis1, expected, cb);
+                });
+            });
+        });
+        it('should invalidate the destination when renaming from a not-cached key on E1', function(cb) {
+            var other = getKey(["not-cached", "src"]);
+            redis1.set(other, "d", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mcRedis1.rename(other, dst, function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    should(mcRedis1.isCached(dst)).equal(false);
+                    shouldGet(mcRedis1, dst, "d", cb);
+                });
+            });
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('transactions', function() {
+        before(function(done) {
+            mcRedis1.setCachePath(getPath(['transaction']), true);
+            mcRedis2.setCachePath(getPath(['transaction']), true);
+            mcRedis2.mset(getKey(["transaction", "key1"]), "a", getKey(["transaction", "key2"]), "b", done);
+        });
+
+        it('should cache the values on E1', function(cb) {
+            setTimeout(function() {
+                var expected = {};
+                expected[getKey(["transaction", "key1"])] = "a";
+                expected[getKey(["transaction", "key2"])] = "b";
+                shouldMget(mcRedis1, expected, function(err) {
+                    mcRedis1.resetCacheStats();
+                    cb(err);
+                });
+            }, 200);
+        });
+        it('should update the cache after exec on E2', function(cb) {
+            mcRedis2.multi()
+                .set(getKey(["transaction", "key1"]), "a2")
+                .incr(getKey(["not-cached", "counter"]))
+                .del(getKey(["transaction", "key2"]))
+                .get(getKey(["transaction", "key3"]))
+                .exec(function(err, replies) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    should(replies.length).equal(4);
+                    should(mcRedis2.isCached(getKey(["transaction", "key1"]))).equal(true);
+                    should(mcRedis2.isCached(getKey(["transaction", "key2"]))).equal(true);
+                    should(mcRedis2.isCached(getKey(["transaction", "key3"]))).equal(true);
+                    var expected = {};
+                    expected[getKey(["transaction", "key1"])] = "a2";
+                    expected[getKey(["transaction", "key2"])] = null;
+                    expected[getKey(["transaction", "key3"])] = null;
+                    shouldMget(mcRedis2, expected, cb);
+                });
+        });
+        it('should cause 2 dirty keys on E1', function(cb) {
+            shouldCacheStatus(mcRedis1, 0, 0, 2, true, cb);
+        });
+        it('should get the updated values on E1', function(cb) {
+            var expected = {};
+            expected[getKey(["transaction", "key1"])] = "a2";
+            expected[getKey(["transaction", "key2"])] = null;
+            shouldMget(mcRedis1, expected, cb);
+        });
+        it('should update the cache after a batch with a promise on E1', function() {
+            return mcRedis1.batch([["set", getKey(["transaction", "key2"]), "b2"]])
+                .set(getKey(["transaction", "key1"]), "a3")
+                .exec()
+                .then(function() {
+                    should(mcRedis1.isCached(getKey(["transaction", "key1"]))).equal(true);
+                    should(mcRedis1.isCached(getKey(["transaction", "key2"]))).equal(true);
+                    return mcRedis1.mget([getKey(["transaction", "key1"]), getKey(["transaction", "key2"])]);
+                })
+                .then(function(res) {
+                    should(_.isEqual(res, ["a3", "b2"])).equal(true);
+                });
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('separate channels', function() {
+        var redisSub3, redisSub4;
+        var mcApp1, mcApp2;
+
+        before(function() {
+            redisSub3 = redis.createClient(port, host);
+            redisSub4 = redis.createClient(port, host);
+            mcApp1 = new RedisMemcacheClient(redis1, redisSub3, {dirtyKeyPublishDelay: 100, channel: '_dcache-test-app1'});
+            mcApp2 = new RedisMemcacheClient(redis2, redisSub4, {dirtyKeyPublishDelay: 100, channel: '_dcache-test-app2'});
+            _.each([mcRedis1, mcApp1, mcApp2], function(rc) {
+                rc.setCachePath(getPath(['channels']), true);
+            });
+        });
+
+        it('should set a key on the default channel and on app1', function(cb) {
+            async.series([
+                function(cb) {mcRedis1.set(getKey(["channels", "key1"]), "a", cb);},
+                function(cb) {mcApp1.set(getKey(["channels", "key1"]), "b", cb);}
+            ], cb);
+        });
+        it('should not cause dirty keys on other channels', function(cb) {
+            async.series([
+                function(cb) {shouldCacheStatus(mcRedis2, 0, 0, 1, true, cb);},
+                function(cb) {shouldCacheStatus(mcApp2, 0, 0, 0, true, cb);}
+            ], cb);
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('reconnects', function() {
+        var key;
+
+        before(function(done) {
+            key = getKey(["reconnect", "key1"]);
+            mcRedis1.setCachePath(getPath(['reconnect']), true);
+            mcRedis2.setCachePath(getPath(['reconnect']), true);
+            mcRedis2.set(key, "a", done);
+        });
+
+        it('should fall back to redis reads while the subscriber is disconnected', function(cb) {
+            var events = [];
+            mcRedis2.cacheEvents.once('disconnect', function(info) {
+                events.push(info.client);
+            });
+            redisSub2.emit('reconnecting', {});
+            should(_.isEqual(events, ['subscriber'])).equal(true);
+
+            // Changes are missed while disconnected.
+            redis1.set(key, "b", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                shouldGet(mcRedis2, key, "b", function(err) {
+                    should(mcRedis2.isCached(key)).equal(true);
+                    shouldCacheStatus(mcRedis2, 0, 0, 0, true, cb);
+                });
+            });
+        });
+        it('should flush the cache after resubscribing', function(cb) {
+            mcRedis2.cacheEvents.once('reconnect', function(info) {
+                should(info.client).equal('subscriber');
+                should(mcRedis2.isCached(key)).equal(false);
+                shouldGet(mcRedis2, key, "b", function(err) {
+                    should(mcRedis2.isCached(key)).equal(true);
+                    shouldCacheStatus(mcRedis2, 0, 1, 0, true, cb);
+                });
+            });
+            redisSub2.emit('ready');
+        });
+        it('should flush the cache when the main client reconnects', function(cb) {
+            mcRedis2.cacheEvents.once('reconnect', function(info) {
+                should(info.client).equal('main');
+                should(mcRedis2.isCached(key)).equal(false);
+                cb();
+            });
+            redis2.emit('end');
+            redis2.emit('ready');
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('stream transport', function() {
+        var streamKey = '_dcache-test-stream';
+        var redisSub3, redisSub4;
+        var mcStream1, mcStream2;
+
+        before(function(done) {
+            redis1.del(streamKey, function(err) {
+                if (err) {
+                    return done(err);
+                }
+
+                redisSub3 = redis.createClient(port, host);
+                redisSub4 = redis.createClient(port, host);
+                var options = {dirtyKeyPublishDelay: 0, transport: 'stream', streamKey: streamKey};
+                mcStream1 = new RedisMemcacheClient(redis1, redisSub3, options, function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    mcStream2 = new RedisMemcacheClient(redis2, redisSub4, options, done);
+                });
+                mcStream1.setCachePath(getPath(['stream']), true);
+            });
+        });
+
+        before(function() {
+            mcStream2.setCachePath(getPath(['stream']), true);
+        });
+
+        it('should reject an unknown transport', function() {
+            (function() {
+                new RedisMemcacheClient(redis1, redisSub3, {transport: 'carrier-pigeon'});
+            }).should.throw();
+        });
+        it('should set on E1 and get on E2', function(cb) {
+            mcStream1.set(getKey(["stream", "key1"]), "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                shouldGet(mcStream2, getKey(["stream", "key1"]), "a", function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    shouldCacheStatus(mcStream2, 0, 1, 1, true, cb);
+                });
+            });
+        });
+        it('should receive the dirty key on E2', function(cb) {
+            mcStream1.set(getKey(["stream", "key1"]), "b", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                setTimeout(function() {
+                    should(mcStream2.isCached(getKey(["stream", "key1"]))).equal(false);
+                    shouldGet(mcStream2, getKey(["stream", "key1"]), "b", function(err) {
+                        shouldCacheStatus(mcStream2, 0, 1, 1, true, cb);
+                    });
+                }, 100);
+            });
+        });
+        it('should not flush the cache when no entries were missed', function(cb) {
+            mcStream2.cacheEvents.once('reconnect', function(info) {
+                should(info.client).equal('subscriber');
+                should(info.flushed).equal(false);
+                should(mcStream2.isCached(getKey(["stream", "key2"]))).equal(true);
+                cb();
+            });
+            mcStream2.set(getKey(["stream", "key2"]), "c", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                redisSub4.emit('reconnecting', {});
+                redisSub4.emit('ready');
+                mcStream1.set(getKey(["stream", "key1"]), "d");
+            });
+        });
+        it('should flush the cache when entries may have been trimmed', function(cb) {
+            mcStream2.cacheEvents.once('reconnect', function(info) {
+                should(info.flushed).equal(true);
+                should(mcStream2.isCached(getKey(["stream", "key2"]))).equal(false);
+                cb();
+            });
+            redisSub4.emit('reconnecting', {});
+            redisSub4.emit('ready');
+            redis1.del(streamKey, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mcStream1.set(getKey(["stream", "key1"]), "e");
+            });
+        });
+        it('should flush the cache when entries were trimmed before they could be read', function(cb) {
+            var trimStreamKey = '_dcache-test-trim-stream';
+            var key = getKey(["stream", "key3"]);
+            var options = {dirtyKeyPublishDelay: 0, transport: 'stream', streamKey: trimStreamKey, streamMaxLen: 5};
+
+            // Holds the reads of the stream, so that the client falls behind.
+            var redisSub5 = redis.createClient(port, host);
+            var xread = redisSub5.xread;
+            var heldReads = null;
+            redisSub5.xread = function() {
+                if (heldReads) {
+                    return heldReads.push(arguments);
+                }
+                return xread.apply(redisSub5, arguments);
+            };
+
+            var mcTrim = new RedisMemcacheClient(redis2, redisSub5, options, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mcTrim.setCachePath(getPath(['stream']), true);
+                async.series([
+                    function(cb) {redis1.set(key, "f", cb);},
+                    function(cb) {shouldGet(mcTrim, key, "f", cb);},
+                    function(cb) {
+                        should(mcTrim.isCached(key)).equal(true);
+                        heldReads = [];
+                        async.timesSeries(20, function(i, cb) {
+                            redis1.xadd(trimStreamKey, 'MAXLEN', 5, '*', 'm', "other\n" + getKey(["other", i]), cb);
+                        }, cb);
+                    },
+                    function(cb) {
+                        var reads = heldReads;
+                        heldReads = null;
+                        _.each(reads, function(args) {
+                            xread.apply(redisSub5, args);
+                        });
+                        setTimeout(cb, 100);
+                    }
+                ], function(err) {
+                    should(mcTrim.isCached(key)).equal(false);
+                    redis1.del(trimStreamKey, function() {
+                        cb(err);
+                    });
+                });
+            });
+        });
+
+        after(function(done) {
+            redis1.del(streamKey, function() {
+                clearRedisTestKeys(done);
+            });
+        });
+    });
+
+    describe('client tracking', function() {
+        var redis3, redisSub3, redis4, redisSub4;
+        var mcTrack1, mcTrack2;
+
+        before(function(done) {
+            redis3 = redis.createClient(port, host);
+            redisSub3 = redis.createClient(port, host);
+            redis4 = redis.createClient(port, host);
+            redisSub4 = redis.createClient(port, host);
+
+            mcTrack1 = new RedisMemcacheClient(redis3, redisSub3, {transport: 'tracking'}, function(err) {
+                if (err) {
+                    return done(err);
+                }
+                mcTrack2 = new RedisMemcacheClient(redis4, redisSub4, {transport: 'tracking', trackingMode: 'bcast'}, done);
+                mcTrack2.setCachePath(getPath(['bcast']), true);
+            });
+            mcTrack1.setCachePath(getPath(['track']), true);
+        });
+
+        it('should reject an unknown tracking mode', function() {
+            (function() {
+                new RedisMemcacheClient(redis3, redisSub3, {transport: 'tracking', trackingMode: 'optin'});
+            }).should.throw();
+        });
+        it('should invalidate read keys on writes by other clients', function(cb) {
+            var key = getKey(["track", "key1"]);
+            redis1.set(key, "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                shouldGet(mcTrack1, key, "a", function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    should(mcTrack1.isCached(key)).equal(true);
+
+                    // Not written through the cache client.
+                    redis1.set(key, "b", function(err) {
+                        if (err) {
+                            return cb(err);
+                        }
+                        setTimeout(function() {
+                            should(mcTrack1.isCached(key)).equal(false);
+                            shouldGet(mcTrack1, key, "b", function(err) {
+                                shouldCacheStatus(mcTrack1, 0, 2, 1, true, cb);
+                            });
+                        }, 100);
+                    });
+                });
+            });
+        });
+        it('should not cache written values in the default mode', function(cb) {
+            var key = getKey(["track", "key2"]);
+            mcTrack1.set(key, "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                // The server only tracks keys after they are read.
+                should(mcTrack1.isCached(key)).equal(false);
+                shouldGet(mcTrack1, key, "a", function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    should(mcTrack1.isCached(key)).equal(true);
+                    redis1.set(key, "b", function(err) {
+                        setTimeout(function() {
+                            should(mcTrack1.isCached(key)).equal(false);
+                            mcTrack1.resetCacheStats();
+                            cb(err);
+                        }, 100);
+                    });
+                });
+            });
+        });
+        it('should cache written values in the bcast mode', function(cb) {
+            var key = getKey(["bcast", "key1"]);
+            mcTrack2.set(key, "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                should(mcTrack2.isCached(key)).equal(true);
+                redis1.set(key, "b", function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    setTimeout(function() {
+                        should(mcTrack2.isCached(key)).equal(false);
+                        shouldGet(mcTrack2, key, "b", function(err) {
+                            shouldCacheStatus(mcTrack2, 0, 1, 1, true, cb);
+                        });
+                    }, 100);
+                });
+            });
+        });
+        it('should track newly enabled paths in the bcast mode', function(cb) {
+            var key = getKey(["bcast2", "key1"]);
+            mcTrack2.setCachePath(getPath(['bcast2']), true);
+            mcTrack2.set(key, "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                should(mcTrack2.isCached(key)).equal(true);
+                redis1.set(key, "b", function(err) {
+                    setTimeout(function() {
+                        should(mcTrack2.isCached(key)).equal(false);
+                        mcTrack2.resetCacheStats();
+                        cb(err);
+                    }, 100);
+                });
+            });
+        });
+        it('should redirect invalidations again after the subscriber reconnects', function(cb) {
+            var key = getKey(["bcast", "key1"]);
+            mcTrack2.cacheEvents.once('reconnect', function(info) {
+                should(info.client).equal('subscriber');
+                should(info.flushed).equal(true);
+                shouldGet(mcTrack2, key, "b", function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    should(mcTrack2.isCached(key)).equal(true);
+                    redis1.set(key, "c", function(err) {
+                        setTimeout(function() {
+                            should(mcTrack2.isCached(key)).equal(false);
+                            cb(err);
+                        }, 100);
+                    });
+                });
+            });
+            redisSub4.emit('reconnecting', {});
+            redisSub4.emit('ready');
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('keyspace notifications', function() {
+        var redis3, redisSub3;
+        var mcKeyspace;
+
+        /**
+         * Caches the key in mcKeyspace, changes it using another client and checks that it was invalidated.
+         */
+        var shouldInvalidateForeignWrite = function(key, write, cb) {
+            redis1.set(key, "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                shouldGet(mcKeyspace, key, "a", function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    should(mcKeyspace.isCached(key)).equal(true);
+                    write(function(err) {
+                        if (err) {
+                            return cb(err);
+                        }
+                        setTimeout(function() {
+                            should(mcKeyspace.isCached(key)).equal(false);
+                            cb();
+                        }, 100);
+                    });
+                });
+            });
+        };
+
+        before(function(done) {
+            redis3 = redis.createClient(port, host);
+            redisSub3 = redis.createClient(port, host);
+            mcKeyspace = new RedisMemcacheClient(redis3, redisSub3, {dirtyKeyPublishDelay: 0, keyspaceNotifications: true}, done);
+            mcKeyspace.setCachePath(getPath(['keyspace']), true);
+        });
+
+        it('should require the pubsub transport', function() {
+            (function() {
+                new RedisMemcacheClient(redis3, redisSub3, {transport: 'stream', keyspaceNotifications: true});
+            }).should.throw();
+        });
+        it('should report errors of subscribing to the notifications', function(cb) {
+            var redisSub4 = redis.createClient(port, host);
+            redisSub4.psubscribe = function() {
+                process.nextTick(_.last(arguments), new Error('NOPERM'));
+            };
+            var errors = [];
+            var options = {keyspaceNotifications: true, paths: [{path: getPath(['keyspace']), enabled: true}]};
+            var mcDenied = new RedisMemcacheClient(redis.createClient(port, host), redisSub4, options, function(err) {
+                should(err.message).equal('NOPERM');
+                should(errors).eql([err]);
+                cb();
+            });
+            mcDenied.cacheEvents.on('subscribeError', function(err) {
+                errors.push(err);
+            });
+        });
+        it('should invalidate on foreign SET', function(cb) {
+            var key = getKey(["keyspace", "key1"]);
+            shouldInvalidateForeignWrite(key, function(cb) {
+                redis1.set(key, "b", cb);
+            }, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                shouldGet(mcKeyspace, key, "b", cb);
+            });
+        });
+        it('should invalidate on foreign DEL', function(cb) {
+            var key = getKey(["keyspace", "key2"]);
+            shouldInvalidateForeignWrite(key, function(cb) {
+                redis1.del(key, cb);
+            }, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                shouldGet(mcKeyspace, key, null, cb);
+            });
+        });
+        it('should invalidate on foreign EXPIRE', function(cb) {
+            var key = getKey(["keyspace", "key3"]);
+            shouldInvalidateForeignWrite(key, function(cb) {
+                redis1.expire(key, 100, cb);
+            }, cb);
+        });
+        it('should subscribe to newly enabled paths', function(cb) {
+            var key = getKey(["keyspace2", "key1"]);
+            mcKeyspace.setCachePath(getPath(['keyspace2']), true);
+            shouldInvalidateForeignWrite(key, function(cb) {
+                redis1.set(key, "b", cb);
+            }, cb);
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('request coalescing', function() {
+        var redis3, redisSub3;
+        var mcCoalesce;
+        var requests;
+
+        before(function(done) {
+            redis3 = redis.createClient(port, host);
+            redisSub3 = redis.createClient(port, host);
+
+            // Record the commands that are sent to Redis.
+            _.each(['get', 'mget'], function(command) {
+                var method = redis3[command];
+                redis3[command] = function(keys) {
+                    requests.push([command].concat(keys));
+                    return method.apply(redis3, arguments);
+                };
+            });
+
+            mcCoalesce = new RedisMemcacheClient(redis3, redisSub3, {dirtyKeyPublishDelay: 0}, done);
+            mcCoalesce.setCachePath(getPath(['coalesce']), true);
+        });
+
+        beforeEach(function(done) {
+            redis1.mset(getKey(["coalesce", "key1"]), "a", getKey(["coalesce", "key2"]), "b",
+                getKey(["coalesce", "key3"]), "c", getKey(["uncached", "key1"]), "d", function(err) {
+                    mcCoalesce.flushCache();
+                    mcCoalesce.resetCacheStats();
+                    requests = [];
+                    done(err);
+                });
+        });
+
+        it('should fetch a key only once for concurrent GETs', function(cb) {
+            var key = getKey(["coalesce", "key1"]);
+            var tasks = _.times(10, function() {
+                return function(cb) {
+                    shouldGet(mcCoalesce, key, "a", cb);
+                };
+            });
+            async.parallel(tasks, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                should(_.isEqual(requests, [['get', key]])).equal(true);
+                shouldCacheStatus(mcCoalesce, 0, 10, 0, true, cb);
+            });
+        });
+        it('should only fetch keys that are not already being fetched in MGET', function(cb) {
+            var key1 = getKey(["coalesce", "key1"]);
+            var key2 = getKey(["coalesce", "key2"]);
+            var key3 = getKey(["coalesce", "key3"]);
+            var expected1 = {};
+            expected1[key1] = "a";
+            expected1[key2] = "b";
+            var expected2 = {};
+            expected2[key2] = "b";
+            expected2[key3] = "c";
+            async.parallel([
+                function(cb) {
+                    shouldMget(mcCoalesce, expected1, cb);
+                },
+                function(cb) {
+                    shouldMget(mcCoalesce, expected2, cb);
+                },
+                function(cb) {
+                    shouldGet(mcCoalesce, key3, "c", cb);
+                }
+            ], function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                should(_.isEqual(requests, [['mget', key1, key2], ['mget', key3]])).equal(true);
+                cb();
+            });
+        });
+        it('should not share fetches of keys on uncached paths', function(cb) {
+            var key = getKey(["uncached", "key1"]);
+            async.parallel([
+                function(cb) {
+                    shouldGet(mcCoalesce, key, "d", cb);
+                },
+                function(cb) {
+                    shouldGet(mcCoalesce, key, "d", cb);
+                }
+            ], function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                should(requests.length).equal(2);
+                cb();
+            });
+        });
+        it('should not share fetches that bypass the cache', function(cb) {
+            var key = getKey(["coalesce", "key1"]);
+            async.parallel([
+                function(cb) {
+                    shouldGet(mcCoalesce, key, "a", cb);
+                },
+                function(cb) {
+                    mcCoalesce.get(key, {bypassCache: true}, cb);
+                }
+            ], function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                should(requests.length).equal(2);
+                cb();
+            });
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('soft and hard TTL', function() {
+        before(function() {
+            mcRedis1.setCachePath(getPath(['ttl']), {enabled: true, softTtl: 50, hardTtl: 150});
+            mcRedis1.setCachePath(getPath(['ttl', 'nosoft']), {softTtl: null});
+        });
+
+        beforeEach(function(done) {
+            redis1.mset(getKey(["ttl", "key1"]), "a", getKey(["ttl", "key2"]), "b",
+                getKey(["ttl", "nosoft", "key1"]), "c", function(err) {
+                    mcRedis1.flushCache();
+                    mcRedis1.resetCacheStats();
+                    done(err);
+                });
+        });
+
+        it('should reject unknown or invalid policy settings', function() {
+            (function() {
+                mcRedis1.setCachePath(getPath(['ttl']), {softTll: 50});
+            }).should.throw();
+            (function() {
+                mcRedis1.setCachePath(getPath(['ttl']), {hardTtl: 'long'});
+            }).should.throw();
+        });
+        it('should inherit the enabled state if not specified', function() {
+            should(mcRedis1.pathIsEnabled(getPath(['ttl', 'nosoft']))).equal(true);
+        });
+        it('should refresh a value in the background after the soft TTL', function(cb) {
+            var key = getKey(["ttl", "key1"]);
+            shouldGet(mcRedis1, key, "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                setTimeout(function() {
+                    // Changed without publishing the dirty key.
+                    redis1.set(key, "b", function(err) {
+                        if (err) {
+                            return cb(err);
+                        }
+                        shouldGet(mcRedis1, key, "a", function(err) {
+                            should(mcRedis1.getCacheStats().refreshes).equal(1);
+                            setTimeout(function() {
+                                shouldGet(mcRedis1, key, "b", function(err) {
+                                    shouldCacheStatus(mcRedis1, 2, 1, 0, true, cb);
+                                });
+                            }, 20);
+                        });
+                    });
+                }, 70);
+            });
+        });
+        it('should refresh values in MGET after the soft TTL', function(cb) {
+            var key1 = getKey(["ttl", "key1"]);
+            var key2 = getKey(["ttl", "key2"]);
+            var expected = {};
+            expected[key1] = "a";
+            expected[key2] = "b";
+            shouldMget(mcRedis1, expected, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                setTimeout(function() {
+                    shouldMget(mcRedis1, expected, function(err) {
+                        should(mcRedis1.getCacheStats().refreshes).equal(2);
+                        shouldCacheStatus(mcRedis1, 2, 2, 0, true, cb);
+                    });
+                }, 70);
+            });
+        });
+        it('should fetch a value again after the hard TTL', function(cb) {
+            var key = getKey(["ttl", "key1"]);
+            shouldGet(mcRedis1, key, "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                redis1.set(key, "b", function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    setTimeout(function() {
+                        shouldGet(mcRedis1, key, "b", function(err) {
+                            should(mcRedis1.getCacheStats().refreshes).equal(0);
+                            shouldCacheStatus(mcRedis1, 0, 2, 0, true, cb);
+                        });
+                    }, 170);
+                });
+            });
+        });
+        it('should allow removing an inherited soft TTL', function(cb) {
+            var key = getKey(["ttl", "nosoft", "key1"]);
+            shouldGet(mcRedis1, key, "c", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                setTimeout(function() {
+                    shouldGet(mcRedis1, key, "c", function(err) {
+                        should(mcRedis1.getCacheStats().refreshes).equal(0);
+                        shouldCacheStatus(mcRedis1, 1, 1, 0, true, cb);
+                    });
+                }, 70);
+            });
+        });
+
+        after(function(done) {
+            mcRedis1.resetCachePaths();
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('path policies', function() {
+        var redisSub3;
+        var mcPolicy;
+
+        before(function(done) {
+            redisSub3 = redis.createClient(port, host);
+            mcPolicy = new RedisMemcacheClient(redis1, redisSub3, {dirtyKeyPublishDelay: 100, maxBytes: 1500}, done);
+            mcPolicy.setCachePath(getPath(['policy']), true);
+            mcPolicy.setCachePath(getPath(['policy', 'json']), {json: true, byRef: true});
+            mcPolicy.setCachePath(getPath(['policy', 'limited']), {maxEntries: 2});
+            mcPolicy.setCachePath(getPath(['policy', 'limited', 'unlimited']), {maxEntries: null});
+            mcPolicy.setCachePath(getPath(['policy', 'compressed']), {compress: true});
+        });
+
+        beforeEach(function() {
+            mcPolicy.resetCacheStats();
+        });
+
+        it('should reject invalid policy settings', function() {
+            (function() {
+                mcPolicy.setCachePath(getPath(['policy']), {json: 'yes'});
+            }).should.throw();
+            (function() {
+                mcPolicy.setCachePath(getPath(['policy']), {maxEntries: -1});
+            }).should.throw();
+        });
+
+        describe('json and byRef', function() {
+            var key;
+
+            before(function(done) {
+                key = getKey(["policy", "json", "key1"]);
+                redis1.mset(key, JSON.stringify({a: 1}), getKey(["policy", "key1"]), JSON.stringify({b: 2}), done);
+            });
+
+            it('should parse json by default', function(cb) {
+                shouldGetJson(mcPolicy, key, {a: 1}, function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    mcPolicy.get(key, function(err, res) {
+                        should(_.isEqual(res, {a: 1})).equal(true);
+                        cb(err);
+                    });
+                });
+            });
+            it('should return by reference by default', function(cb) {
+                mcPolicy.get(key, function(err, res1) {
+                    mcPolicy.get(key, function(err, res2) {
+                        should(res1 === res2).equal(true);
+                        cb(err);
+                    });
+                });
+            });
+            it('should allow overriding the defaults', function(cb) {
+                mcPolicy.get(key, {json: false}, function(err, res) {
+                    should(res).equal(JSON.stringify({a: 1}));
+                    mcPolicy.get(key, {byRef: false}, function(err, res1) {
+                        mcPolicy.get(key, function(err, res2) {
+                            should(_.isEqual(res1, res2)).equal(true);
+                            should(res1 === res2).equal(false);
+                            cb(err);
+                        });
+                    });
+                });
+            });
+            it('should use the defaults per key in MGET', function(cb) {
+                mcPolicy.mget([key, getKey(["policy", "key1"])], function(err, res) {
+                    should(_.isEqual(res, [{a: 1}, JSON.stringify({b: 2})])).equal(true);
+                    cb(err);
+                });
+            });
+        });
+
+        describe('maxEntries', function() {
+            it('should evict keys within the subtree', function(cb) {
+                mcPolicy.mset(getKey(["policy", "key2"]), "a", getKey(["policy", "limited", "key1"]), "b",
+                    getKey(["policy", "limited", "key2"]), "c", getKey(["policy", "limited", "key3"]), "d", function(err) {
+                        should(mcPolicy.isCached(getKey(["policy", "key2"]))).equal(true);
+                        should(mcPolicy.isCached(getKey(["policy", "limited", "key1"]))).equal(false);
+                        should(mcPolicy.isCached(getKey(["policy", "limited", "key2"]))).equal(true);
+                        should(mcPolicy.isCached(getKey(["policy", "limited", "key3"]))).equal(true);
+                        should(mcPolicy.getCacheStats().evictions).equal(1);
+                        cb(err);
+                    });
+            });
+            it('should not count keys of subtrees with their own limit', function(cb) {
+                mcPolicy.set(getKey(["policy", "limited", "unlimited", "key1"]), "e", function(err) {
+                    should(mcPolicy.isCached(getKey(["policy", "limited", "key2"]))).equal(true);
+                    should(mcPolicy.isCached(getKey(["policy", "limited", "unlimited", "key1"]))).equal(true);
+                    should(mcPolicy.getCacheStats().evictions).equal(0);
+                    cb(err);
+                });
+            });
+            it('should evict keys when the limit is lowered', function() {
+                mcPolicy.setCachePath(getPath(['policy', 'limited']), {maxEntries: 1});
+                should(mcPolicy.isCached(getKey(["policy", "limited", "key2"]))).equal(false);
+                should(mcPolicy.isCached(getKey(["policy", "limited", "key3"]))).equal(true);
+                should(mcPolicy.getCacheStats().evictions).equal(1);
+            });
+            it('should cache keys of a full subtree after flushing the cache', function(cb) {
+                mcPolicy.flushCache();
+                mcPolicy.get(getKey(["policy", "limited", "key1"]), function(err, res) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    should(res).equal("b");
+                    mcPolicy.get(getKey(["policy", "limited", "key2"]), function(err) {
+                        should(mcPolicy.isCached(getKey(["policy", "limited", "key1"]))).equal(false);
+                        should(mcPolicy.isCached(getKey(["policy", "limited", "key2"]))).equal(true);
+                        should(mcPolicy.getCacheStats().evictions).equal(1);
+                        cb(err);
+                    });
+                });
+            });
+        });
+
+        describe('compress', function() {
+            var value = _.repeat("compressible ", 200);
+
+            it('should cache large compressed values', function(cb) {
+                var key = getKey(["policy", "compressed", "key1"]);
+                mcPolicy.set(key, value, function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    // Uncompressed, the value would not fit in maxBytes.
+                    should(mcPolicy.isCached(key)).equal(true);
+                    shouldGet(mcPolicy, key, value, function(err) {
+                        shouldCacheStatus(mcPolicy, 1, 0, 0, true, cb);
+                    });
+                });
+            });
+            it('should not compress values on other paths', function(cb) {
+                var key = getKey(["policy", "key3"]);
+                mcPolicy.set(key, value, function(err) {
+                    should(mcPolicy.isCached(key)).equal(false);
+                    cb(err);
+                });
+            });
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('path rules', function() {
+        var redisSub3, redisSub4;
+        var mcRules, mcSlash;
+
+        before(function(done) {
+            redisSub3 = redis.createClient(port, host);
+            redisSub4 = redis.createClient(port, host);
+            mcRules = new RedisMemcacheClient(redis1, redisSub3, {dirtyKeyPublishDelay: 100}, function(err) {
+                if (err) {
+                    return done(err);
+                }
+                mcSlash = new RedisMemcacheClient(redis2, redisSub4, {dirtyKeyPublishDelay: 100, separator: '/'}, done);
+            });
+        });
+
+        afterEach(function() {
+            mcRules.resetCachePaths();
+        });
+
+        it('should accept paths as strings', function() {
+            mcRules.setCachePath(getKey(['rules', 'users']), true);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'users', 'u1']))).equal(true);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'groups', 'g1']))).equal(false);
+        });
+        it('should match any segment with * and {name}', function() {
+            mcRules.setCachePath(getKey(['rules', '*', 'profile']), true);
+            mcRules.setCachePath(getPath(['rules', '{id}', 'settings']), true);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'u1', 'profile']))).equal(true);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'u2', 'settings', 'theme']))).equal(true);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'u1', 'friends']))).equal(false);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'u1']))).equal(false);
+        });
+        it('should prefer deeper paths and literal segments over wildcards', function() {
+            mcRules.setCachePath(getPath(['rules', '*']), true);
+            mcRules.setCachePath(getPath(['rules', '*', 'secret']), false);
+            mcRules.setCachePath(getPath(['rules', 'admin', 'secret']), true);
+            mcRules.setCachePath(getPath(['rules', 'admin', '*']), false);
+            mcRules.setCachePath(getPath(['rules', '*', 'public']), true);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'u1', 'other']))).equal(true);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'u1', 'secret']))).equal(false);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'admin', 'secret']))).equal(true);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'admin', 'public']))).equal(false);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'u1', 'public']))).equal(true);
+        });
+        it('should give RegExp rules precedence, the latest first', function() {
+            mcRules.setCachePath(getPath(['rules']), true);
+            mcRules.setCachePath(/:tmp-/, false);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'tmp-1']))).equal(false);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'key1']))).equal(true);
+            mcRules.setCachePath(/:tmp-keep$/g, true);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'tmp-keep']))).equal(true);
+            should(mcRules.pathIsEnabled(getPath(['rules', 'tmp-keep']))).equal(true);
+            mcRules.setCachePath(/:tmp-/, {enabled: true});
+            should(mcRules.pathIsEnabled(getPath(['rules', 'tmp-1']))).equal(true);
+        });
+        it('should cache keys on wildcard paths', function(cb) {
+            var key = getKey(['rules', 'u1', 'profile']);
+            mcRules.setCachePath(getPath(['rules', '*', 'profile']), true);
+            mcRules.set(key, "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                should(mcRules.isCached(key)).equal(true);
+                mcRules.set(getKey(['rules', 'u1', 'friends']), "b", function(err) {
+                    should(mcRules.isCached(getKey(['rules', 'u1', 'friends']))).equal(false);
+                    cb(err);
+                });
+            });
+        });
+        it('should apply rule changes to keys that were read before', function(cb) {
+            var key = getKey(['rules', 'u1', 'cached']);
+            mcRules.setCachePath(getPath(['rules']), true);
+            mcRules.get(key, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                should(mcRules.isCached(key)).equal(true);
+                mcRules.setCachePath(getPath(['rules', '*', 'cached']), false);
+                should(mcRules.isCached(key)).equal(false);
+                mcRules.get(key, function(err) {
+                    should(mcRules.isCached(key)).equal(false);
+                    mcRules.setCachePath(/:cached$/, true);
+                    mcRules.get(key, function(err) {
+                        should(mcRules.isCached(key)).equal(true);
+                        cb(err);
+                    });
+                });
+            });
+        });
+        it('should split keys by the separator option', function(cb) {
+            mcSlash.setCachePath(testGroup.concat('slash').join('/'), true);
+            var key = testGroup.concat('slash', 'key1').join('/');
+            mcSlash.set(key, "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                should(mcSlash.isCached(key)).equal(true);
+                mcSlash.set(getKey(['slash', 'key1']), "b", function(err) {
+                    should(mcSlash.isCached(getKey(['slash', 'key1']))).equal(false);
+                    cb(err);
+                });
+            });
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('cache path configuration', function() {
+        var redisSub3;
+        var mcConfig;
+        var rules = [
+            {path: getKey(['config']), enabled: true, softTtl: 5000},
+            {path: getPath(['config', '{id}', 'secret']), enabled: false},
+            {regexp: ':config:tmp-', flags: 'i', enabled: false}
+        ];
+
+        before(function(done) {
+            redisSub3 = redis.createClient(port, host);
+            mcConfig = new RedisMemcacheClient(redis1, redisSub3, {dirtyKeyPublishDelay: 100, paths: rules}, done);
+        });
+
+        it('should configure the paths of the options', function() {
+            should(mcConfig.pathIsEnabled(getPath(['config', 'key1']))).equal(true);
+            should(mcConfig.pathIsEnabled(getPath(['config', 'u1', 'secret']))).equal(false);
+            should(mcConfig.pathIsEnabled(getPath(['config', 'TMP-1']))).equal(false);
+            should(mcConfig.pathIsEnabled(getPath(['other']))).equal(false);
+        });
+        it('should export the paths', function() {
+            should(_.isEqual(mcConfig.exportCachePaths(), [
+                {path: [], enabled: false},
+                {path: getPath(['config']), enabled: true, softTtl: 5000},
+                {path: getPath(['config', '*', 'secret']), enabled: false},
+                {regexp: ':config:tmp-', flags: 'i', enabled: false}
+            ])).equal(true);
+        });
+        it('should replace the paths on import', function() {
+            var exported = mcConfig.exportCachePaths();
+            mcConfig.importCachePaths([{path: getPath(['other']), enabled: true}]);
+            should(mcConfig.pathIsEnabled(getPath(['other']))).equal(true);
+            should(mcConfig.pathIsEnabled(getPath(['config', 'key1']))).equal(false);
+            mcConfig.importCachePaths(exported);
+            should(_.isEqual(mcConfig.exportCachePaths(), exported)).equal(true);
+        });
+        it('should report all invalid rules and keep the current paths', function() {
+            var exported = mcConfig.exportCachePaths();
+            try {
+                mcConfig.importCachePaths([
+                    {path: getKey(['other']), enabled: 'yes'},
+                    {regexp: '(', enabled: true},
+                    {enabled: true},
+                    {path: getPath(['other']), hardTtl: 1000, unknown: 1}
+                ]);
+                should.fail();
+            } catch (e) {
+                should(e.problems.length).equal(4);
+            }
+            should(_.isEqual(mcConfig.exportCachePaths(), exported)).equal(true);
+        });
+        it('should report conflicting rules', function() {
+            (function() {
+                mcConfig.importCachePaths([
+                    {path: getKey(['config', '*']), enabled: true},
+                    {path: getPath(['config', '{id}']), enabled: false}
+                ]);
+            }).should.throw(/conflicting enabled/);
+            (function() {
+                mcConfig.importCachePaths([
+                    {regexp: 'a', softTtl: 1},
+                    {regexp: 'a', flags: 'g', softTtl: 2}
+                ]);
+            }).should.throw(/conflicting softTtl/);
+        });
+        it('should report unreachable rules', function() {
+            (function() {
+                mcConfig.importCachePaths([{path: ['config:key1'], enabled: true}]);
+            }).should.throw(/unreachable/);
+            (function() {
+                mcConfig.importCachePaths([{path: getPath(['config'])}]);
+            }).should.throw(/unreachable/);
+        });
+        it('should throw on invalid options', function() {
+            (function() {
+                new RedisMemcacheClient(redis1, redisSub3, {paths: {config: true}});
+            }).should.throw();
+        });
+    });
+
+    describe('broadcast cache paths', function() {
+        var redisSub3, redisSub4;
+        var mcBroadcast1, mcBroadcast2;
+
+        before(function(done) {
+            redisSub3 = redis.createClient(port, host);
+            redisSub4 = redis.createClient(port, host);
+            mcBroadcast1 = new RedisMemcacheClient(redis1, redisSub3, {dirtyKeyPublishDelay: 100}, function(err) {
+                if (err) {
+                    return done(err);
+                }
+                mcBroadcast2 = new RedisMemcacheClient(redis2, redisSub4, {dirtyKeyPublishDelay: 100}, done);
+            });
+        });
+
+        it('should enable paths in all clients', function(cb) {
+            mcBroadcast2.cacheEvents.once('cachePath', function(rule) {
+                should(_.isEqual(rule, {enabled: true, softTtl: 5000, path: getPath(['broadcast'])})).equal(true);
+                should(mcBroadcast2.pathIsEnabled(getPath(['broadcast', 'key1']))).equal(true);
+                cb();
+            });
+            mcBroadcast1.broadcastCachePath(getKey(['broadcast']), {enabled: true, softTtl: 5000}, function(err) {
+                should(mcBroadcast1.pathIsEnabled(getPath(['broadcast', 'key1']))).equal(true);
+                if (err) {
+                    cb(err);
+                }
+            });
+        });
+        it('should purge the keys of paths that are disabled', function(cb) {
+            var key = getKey(['broadcast', 'key1']);
+            mcBroadcast2.set(key, "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                should(mcBroadcast2.isCached(key)).equal(true);
+                mcBroadcast2.cacheEvents.once('cachePath', function() {
+                    should(mcBroadcast2.isCached(key)).equal(false);
+                    should(mcBroadcast2.pathIsEnabled(getPath(['broadcast', 'key1']))).equal(false);
+                    cb();
+                });
+                mcBroadcast1.broadcastCachePath(/:broadcast:key/, false);
+            });
+        });
+        it('should purge the keys of paths that are disabled locally', function(cb) {
+            var key = getKey(['broadcast', 'other1']);
+            mcBroadcast1.set(key, "a", function(err) {
+                should(mcBroadcast1.isCached(key)).equal(true);
+                mcBroadcast1.setCachePath(getPath(['broadcast', 'other1']), false);
+                should(mcBroadcast1.isCached(key)).equal(false);
+                cb(err);
+            });
+        });
+        it('should reset the paths in all clients', function(cb) {
+            mcBroadcast2.cacheEvents.once('cachePath', function(rule) {
+                should(rule).equal(null);
+                should(_.isEqual(mcBroadcast2.exportCachePaths(), [{path: [], enabled: false}])).equal(true);
+                cb();
+            });
+            mcBroadcast1.broadcastResetCachePaths().catch(cb);
+            should(_.isEqual(mcBroadcast1.exportCachePaths(), [{path: [], enabled: false}])).equal(true);
+        });
+        it('should reject invalid rules', function(cb) {
+            mcBroadcast1.broadcastCachePath(getPath(['broadcast']), {maxEntries: -1}).then(function() {
+                cb(new Error('Not rejected'));
+            }, function(err) {
+                should(err.message).match(/Invalid cache path/);
+                should(mcBroadcast1.pathIsEnabled(getPath(['broadcast']))).equal(false);
+                cb();
+            });
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('cache statistics', function() {
+        var redisSub3;
+        var mcStats;
+        var otherGroup = testGroup[0] + '-stats';
+
+        before(function(done) {
+            redisSub3 = redis.createClient(port, host);
+            mcStats = new RedisMemcacheClient(redis2, redisSub3, {dirtyKeyPublishDelay: 0}, function(err) {
+                if (err) {
+                    return done(err);
+                }
+                mcStats.setCachePath(getPath(['stats']), true);
+                mcStats.setCachePath([otherGroup], true);
+                redis2.mset(getKey(['stats', 'key1']), JSON.stringify({a: 1}), otherGroup + ':key1', "b", done);
+            });
+        });
+
+        it('should count per top-level path', function(cb) {
+            mcStats.resetCacheStats();
+            mcStats.get(getKey(['stats', 'key1']), {json: true}, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mcStats.mget([getKey(['stats', 'key1']), otherGroup + ':key1'], function(err) {
+                    var stats = mcStats.getCacheStats();
+                    should(stats.hits).equal(1);
+                    should(stats.misses).equal(2);
+                    should(stats.jsonParses).equal(1);
+                    should(stats.missLatency.count).equal(2);
+                    should(stats.missLatency.buckets['+Inf']).equal(2);
+                    should(stats.missLatency.p50).be.within(0, stats.missLatency.max);
+
+                    var testStats = stats.paths[testGroup[0]];
+                    should(testStats.hits).equal(1);
+                    should(testStats.misses).equal(1);
+                    should(testStats.jsonParses).equal(1);
+                    should(testStats.cache.entries).equal(1);
+                    should(testStats.jsonCache.entries).equal(1);
+                    should(testStats.jsonCache.bytes).be.above(0);
+
+                    var otherStats = stats.paths[otherGroup];
+                    should(otherStats.hits).equal(0);
+                    should(otherStats.misses).equal(1);
+                    should(otherStats.missLatency.count).equal(1);
+                    should(otherStats.cache.entries).equal(1);
+                    should(otherStats.cache.bytes).equal(Buffer.byteLength(otherGroup + ':key1b'));
+                    should(otherStats.jsonCache.entries).equal(0);
+
+                    should(stats.cache.entries).equal(2);
+                    should(stats.jsonCache.entries).equal(1);
+                    cb(err);
+                });
+            });
+        });
+        it('should count published dirty keys', function(cb) {
+            mcStats.set(otherGroup + ':key2', "c", function(err) {
+                should(mcStats.getCacheStats().paths[otherGroup].published).equal(1);
+                cb(err);
+            });
+        });
+        it('should count keys that are not below a top-level path under an empty path', function(cb) {
+            mcStats.get('other-stats-key', {json: true}, function(err) {
+                should(mcStats.getCacheStats().paths[''].jsonParses).equal(1);
+                cb(err);
+            });
+        });
+        it('should return a snapshot', function(cb) {
+            var stats = mcStats.getCacheStats();
+            mcStats.get(getKey(['stats', 'key1']), function(err) {
+                should(stats.hits).equal(1);
+                should(stats.paths[testGroup[0]].hits).equal(1);
+                should(mcStats.getCacheStats().hits).equal(2);
+                cb(err);
+            });
+        });
+        it('should reset the statistics', function() {
+            mcStats.resetCacheStats();
+            var stats = mcStats.getCacheStats();
+            should(stats.hits).equal(0);
+            should(stats.missLatency.count).equal(0);
+            should(stats.missLatency.p50).equal(null);
+            should(stats.cache.entries).equal(3);
+            should(stats.paths[otherGroup].hits).equal(0);
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('metrics', function() {
+        var redisSub3;
+        var mcMetrics;
+        var labels = 'cache="metrics-test",path="' + testGroup[0] + '"';
+
+        before(function(done) {
+            redisSub3 = redis.createClient(port, host);
+            mcMetrics = new RedisMemcacheClient(redis2, redisSub3, {dirtyKeyPublishDelay: 0, name: 'metrics-test'},
+                function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    mcMetrics.setCachePath(getPath(['metrics']), true);
+                    mcMetrics.get(getKey(['metrics', 'key1']), function(err) {
+                        if (err) {
+                            return done(err);
+                        }
+                        mcMetrics.get(getKey(['metrics', 'key1']), done);
+                    });
+                });
+        });
+
+        it('should return the metrics in the Prometheus text format', function() {
+            var lines = mcMetrics.metrics().split("\n");
+            should(lines).containEql('# TYPE redis_memcache_hits_total counter');
+            should(lines).containEql('redis_memcache_hits_total{' + labels + '} 1');
+            should(lines).containEql('redis_memcache_misses_total{' + labels + '} 1');
+            should(lines).containEql('redis_memcache_entries{' + labels + '} 1');
+            should(lines).containEql('redis_memcache_fetches_in_flight{' + labels + '} 0');
+            should(lines).containEql('# TYPE redis_memcache_miss_latency_seconds histogram');
+            should(lines).containEql('redis_memcache_miss_latency_seconds_bucket{' + labels + ',le="+Inf"} 1');
+            should(lines).containEql('redis_memcache_miss_latency_seconds_count{' + labels + '} 1');
+        });
+        it('should return the histogram buckets in increasing order', function() {
+            var bounds = _.map(_.filter(mcMetrics.metrics().split("\n"), function(line) {
+                return _.startsWith(line, 'redis_memcache_miss_latency_seconds_bucket{' + labels);
+            }), function(line) {
+                return Number(line.match(/le="([^"]+)"/)[1].replace('+Inf', 'Infinity'));
+            });
+            should(bounds.length).equal(15);
+            should(bounds).eql(_.sortBy(bounds));
+            should(_.last(bounds)).equal(Infinity);
+        });
+        it('should use a stable cache label by default', function(cb) {
+            var redisClient = redis.createClient(port, host);
+            var mcUnnamed = new RedisMemcacheClient(redisClient, redis.createClient(port, host), {}, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mcUnnamed.setCachePath(getPath(['metrics']), true);
+                mcUnnamed.get(getKey(['metrics', 'key1']), function(err) {
+                    should(mcUnnamed.metrics()).containEql('cache="default"');
+                    cb(err);
+                });
+            });
+        });
+        it('should escape label values', function(cb) {
+            mcMetrics.setCachePath(['quoted"path'], false);
+            mcMetrics.get('quoted"path:key1', {json: true}, function(err) {
+                should(mcMetrics.metrics()).containEql('path="quoted\\"path"');
+                cb(err);
+            });
+        });
+        it('should register OpenTelemetry instruments', function() {
+            var instruments = [];
+            var callbacks = [];
+            var meter = {
+                createObservableCounter: function(name) {
+                    instruments.push({name: name, type: 'counter'});
+                    return _.last(instruments);
+                },
+                createObservableGauge: function(name) {
+                    instruments.push({name: name, type: 'gauge'});
+                    return _.last(instruments);
+                },
+                addBatchObservableCallback: function(callback, observables) {
+                    should(observables).eql(instruments);
+                    callbacks.push(callback);
+                },
+                removeBatchObservableCallback: function(callback) {
+                    _.pull(callbacks, callback);
+                }
+            };
+            var unregister = mcMetrics.registerMetrics(meter);
+            should(_.find(instruments, {name: 'redis_memcache_hits'}).type).equal('counter');
+            should(_.find(instruments, {name: 'redis_memcache_bytes'}).type).equal('gauge');
+
+            var observations = [];
+            callbacks[0]({
+                observe: function(instrument, value, attributes) {
+                    observations.push({name: instrument.name, value: value, attributes: attributes});
+                }
+            });
+            should(_.find(observations, {name: 'redis_memcache_hits', attributes: {path: testGroup[0]}})).eql({
+                name: 'redis_memcache_hits',
+                value: 1,
+                attributes: {cache: 'metrics-test', path: testGroup[0]}
+            });
+
+            unregister();
+            should(callbacks.length).equal(0);
+        });
+    });
+
+    describe('warm-up', function() {
+        var redisSub3, redisSub4;
+        var mcWarm;
+
+        before(function(done) {
+            redisSub3 = redis.createClient(port, host);
+            redisSub4 = redis.createClient(port, host);
+            mcWarm = new RedisMemcacheClient(redis2, redisSub3, {dirtyKeyPublishDelay: 0}, function(err) {
+                if (err) {
+                    return done(err);
+                }
+                mcWarm.setCachePath(getPath(['warm']), true);
+                redis1.mset(getKey(['warm', 'key1']), "a", getKey(['warm', 'key2']), "b", getKey(['warm', 'key3']), "c",
+                    getKey(['warm', 'sub', 'key1']), "d", getKey(['other', 'key1']), "e", function(err) {
+                        if (err) {
+                            return done(err);
+                        }
+                        redis1.hset(getKey(['warm', 'hash1']), 'field1', "f", done);
+                    });
+            });
+        });
+
+        beforeEach(function() {
+            mcWarm.flushCache();
+        });
+
+        it('should load the string keys of the path in batches', function(cb) {
+            var progress = [];
+            mcWarm.warm(getPath(['warm']), {batchSize: 2, concurrency: 1, progress: function(info) {
+                progress.push(info);
+            }}, function(err, res) {
+                if (err) {
+                    return cb(err);
+                }
+                should(res.loaded).equal(4);
+                should(res.scanned).equal(5);
+                should(_.last(progress)).eql(res);
+                should(progress.length).equal(3);
+                should(mcWarm.isCached(getKey(['warm', 'key1']))).equal(true);
+                should(mcWarm.isCached(getKey(['warm', 'sub', 'key1']))).equal(true);
+                should(mcWarm.isCached(getKey(['warm', 'hash1']))).equal(false);
+                shouldGet(mcWarm, getKey(['warm', 'key2']), "b", function(err) {
+                    shouldCacheStatus(mcWarm, 1, 0, 0, true, cb);
+                });
+            });
+        });
+        it('should load the keys matching wildcards', function(cb) {
+            mcWarm.warm(getKey(['warm', '*', 'key1']), function(err, res) {
+                should(res.loaded).equal(1);
+                should(mcWarm.isCached(getKey(['warm', 'sub', 'key1']))).equal(true);
+                should(mcWarm.isCached(getKey(['warm', 'key1']))).equal(false);
+                cb(err);
+            });
+        });
+        it('should load the keys matching a RegExp and return a promise', function() {
+            return mcWarm.warm(/:warm:key[12]$/).then(function(res) {
+                should(res.loaded).equal(2);
+                should(mcWarm.isCached(getKey(['warm', 'key2']))).equal(true);
+                should(mcWarm.isCached(getKey(['warm', 'key3']))).equal(false);
+            });
+        });
+        it('should not load keys on disabled paths', function(cb) {
+            mcWarm.warm(getPath(['other']), function(err, res) {
+                should(res.loaded).equal(0);
+                should(mcWarm.isCached(getKey(['other', 'key1']))).equal(false);
+                cb(err);
+            });
+        });
+        it('should warm the paths of the options before being ready', function(cb) {
+            var options = {
+                dirtyKeyPublishDelay: 0,
+                paths: [{path: getPath(['warm']), enabled: true}],
+                warm: {paths: [getKey(['warm', 'sub']), /:warm:key1$/], batchSize: 10}
+            };
+            var ready = false;
+            var mcWarmed = new RedisMemcacheClient(redis2, redisSub4, options, function(err) {
+                should(ready).equal(true);
+                should(mcWarmed.isCached(getKey(['warm', 'key1']))).equal(true);
+                should(mcWarmed.isCached(getKey(['warm', 'sub', 'key1']))).equal(true);
+                should(mcWarmed.isCached(getKey(['warm', 'key2']))).equal(false);
+                cb(err);
+            });
+            mcWarmed.cacheEvents.on('ready', function() {
+                should(mcWarmed.isCached(getKey(['warm', 'sub', 'key1']))).equal(true);
+                ready = true;
+            });
+        });
+        it('should reject a warm option without paths', function() {
+            _.each([true, {batchSize: 10}], function(warm) {
+                (function() {
+                    new RedisMemcacheClient(redis2, redisSub4, {warm: warm});
+                }).should.throw(/Invalid warm option/);
+            });
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('snapshots', function() {
+        var fs = require('fs');
+        var os = require('os');
+        var file = os.tmpdir() + '/redis-memcache-test-snapshot-' + process.pid + '.gz';
+        var streamFile = os.tmpdir() + '/redis-memcache-test-snapshot-stream-' + process.pid + '.gz';
+        var streamKey = '_dcache-test-snapshot-stream';
+        var streamOptions = {dirtyKeyPublishDelay: 0, transport: 'stream', streamKey: streamKey};
+
+        /**
+         * Creates a client with new Redis connections, with the snapshot path enabled.
+         * @param options
+         * @param cb
+         */
+        var createClient = function(options, cb) {
+            var redisClient = redis.createClient(port, host);
+            var mcClient = new RedisMemcacheClient(redisClient, redis.createClient(port, host), options, function(err) {
+                cb(err, mcClient);
+            });
+            mcClient.setCachePath(getPath(['snapshot']), true);
+        };
+
+        before(function(done) {
+            redis1.del(streamKey, done);
+        });
+
+        it('should fetch the keys of a snapshot from Redis', function(cb) {
+            createClient({dirtyKeyPublishDelay: 0}, function(err, mcSaved) {
+                if (err) {
+                    return cb(err);
+                }
+                mcSaved.mset(getKey(['snapshot', 'key1']), "a", getKey(['snapshot', 'key2']), "b", function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    mcSaved.saveSnapshot(file).then(function(res) {
+                        should(res.entries).equal(2);
+                        should(fs.existsSync(file + '.tmp')).equal(false);
+                        redis1.set(getKey(['snapshot', 'key2']), "c", function(err) {
+                            if (err) {
+                                return cb(err);
+                            }
+                            createClient({dirtyKeyPublishDelay: 0}, function(err, mcLoaded) {
+                                if (err) {
+                                    return cb(err);
+                                }
+                                mcLoaded.loadSnapshot(file, function(err, res) {
+                                    if (err) {
+                                        return cb(err);
+                                    }
+                                    should(res).eql({entries: 2, restored: 0, loaded: 2});
+                                    should(mcLoaded.isCached(getKey(['snapshot', 'key1']))).equal(true);
+                                    shouldGet(mcLoaded, getKey(['snapshot', 'key2']), "c", function(err) {
+                                        shouldCacheStatus(mcLoaded, 1, 0, 0, true, cb);
+                                    });
+                                });
+                            });
+                        });
+                    }, cb);
+                });
+            });
+        });
+        it('should restore the values of keys that are not dirty in the stream', function(cb) {
+            createClient(streamOptions, function(err, mcSaved) {
+                if (err) {
+                    return cb(err);
+                }
+                mcSaved.mset(getKey(['snapshot', 'key3']), "d", getKey(['snapshot', 'key4']), "e", function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    setTimeout(function() {
+                        mcSaved.saveSnapshot(streamFile, function(err) {
+                            if (err) {
+                                return cb(err);
+                            }
+                            // Changed without dirty key: the value of the snapshot is restored.
+                            redis1.set(getKey(['snapshot', 'key3']), "f", function(err) {
+                                if (err) {
+                                    return cb(err);
+                                }
+                                mcSaved.set(getKey(['snapshot', 'key4']), "g", function(err) {
+                                    if (err) {
+                                        return cb(err);
+                                    }
+                                    createClient(streamOptions, function(err, mcLoaded) {
+                                        if (err) {
+                                            return cb(err);
+                                        }
+                                        mcLoaded.loadSnapshot(streamFile, function(err, res) {
+                                            if (err) {
+                                                return cb(err);
+                                            }
+                                            should(res).eql({entries: 2, restored: 1, loaded: 1});
+                                            shouldGet(mcLoaded, getKey(['snapshot', 'key3']), "d", function(err) {
+                                                if (err) {
+                                                    return cb(err);
+                                                }
+                                                shouldGet(mcLoaded, getKey(['snapshot', 'key4']), "g", function(err) {
+                                                    shouldCacheStatus(mcLoaded, 2, 0, 0, true, cb);
+                                                });
+                                            });
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    }, 50);
+                });
+            });
+        });
+        it('should fetch all keys from Redis if the stream was trimmed', function(cb) {
+            redis1.del(streamKey, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                createClient(streamOptions, function(err, mcLoaded) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    mcLoaded.loadSnapshot(streamFile, function(err, res) {
+                        should(res).eql({entries: 2, restored: 0, loaded: 2});
+                        cb(err);
+                    });
+                });
+            });
+        });
+        it('should load a snapshot before the position in the stream is known', function(cb) {
+            var redisClient = redis.createClient(port, host);
+            var xrevrange = redisClient.xrevrange;
+            redisClient.xrevrange = function() {
+                var args = arguments;
+                setTimeout(function() {
+                    xrevrange.apply(redisClient, args);
+                }, 100);
+            };
+            var mcLoaded = new RedisMemcacheClient(redisClient, redis.createClient(port, host), streamOptions);
+            mcLoaded.setCachePath(getPath(['snapshot']), true);
+            mcLoaded.loadSnapshot(streamFile, function(err, res) {
+                should(res).eql({entries: 2, restored: 0, loaded: 2});
+                cb(err);
+            });
+        });
+        it('should not restore keys on disabled paths', function(cb) {
+            createClient({dirtyKeyPublishDelay: 0}, function(err, mcLoaded) {
+                if (err) {
+                    return cb(err);
+                }
+                mcLoaded.setCachePath(getPath(['snapshot', 'key1']), false);
+                mcLoaded.loadSnapshot(file, function(err, res) {
+                    should(res.loaded).equal(1);
+                    should(mcLoaded.isCached(getKey(['snapshot', 'key1']))).equal(false);
+                    cb(err);
+                });
+            });
+        });
+        it('should reject invalid files', function(cb) {
+            fs.writeFileSync(file, 'not a snapshot');
+            createClient({dirtyKeyPublishDelay: 0}, function(err, mcLoaded) {
+                if (err) {
+                    return cb(err);
+                }
+                mcLoaded.loadSnapshot(file, function(err) {
+                    should(err.message).match(/Invalid cache snapshot/);
+                    cb();
+                });
+            });
+        });
+
+        after(function(done) {
+            _.each([file, streamFile], function(f) {
+                if (fs.existsSync(f)) {
+                    fs.unlinkSync(f);
+                }
+            });
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('codecs', function() {
+        var redisSub3;
+        var mcCodec;
+
+        // Encodes arrays of strings as comma-separated lists.
+        var listCodec = {
+            encode: function(value) {
+                return value.join(',');
+            },
+            decode: function(value) {
+                return String(value).split(',');
+            }
+        };
+
+        before(function(done) {
+            redisSub3 = redis.createClient(port, host);
+            var codecOptions = {dirtyKeyPublishDelay: 0, codecs: {list: listCodec}};
+            mcCodec = new RedisMemcacheClient(redis2, redisSub3, codecOptions, function(err) {
+                if (err) {
+                    return done(err);
+                }
+                mcCodec.registerCodec('upper', {
+                    encode: function(value) {
+                        return String(value.s).toUpperCase();
+                    },
+                    decode: function(value) {
+                        return {s: String(value).toLowerCase()};
+                    }
+                });
+                mcCodec.setCachePath(getPath(['codec']), {enabled: true, codec: 'list'});
+                mcCodec.setCachePath(getPath(['codec', 'ref']), {byRef: true});
+                mcCodec.setCachePath(getPath(['codec', 'upper']), {codec: 'upper'});
+                mcCodec.setCachePath(getPath(['codec', 'raw']), {codec: null});
+                done();
+            });
+        });
+
+        beforeEach(function() {
+            mcCodec.resetCacheStats();
+        });
+
+        it('should reject invalid and unknown codecs', function() {
+            (function() {
+                mcCodec.registerCodec('invalid', {encode: _.identity});
+            }).should.throw(/Invalid codec/);
+            (function() {
+                mcCodec.setCachePath(getPath(['codec']), {codec: 'unknown'});
+            }).should.throw(/Unknown codec/);
+        });
+        it('should encode SET values and decode them once from cache', function(cb) {
+            var key = getKey(['codec', 'key1']);
+            mcCodec.set(key, ['a', 'b'], function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                redis2.get(key, function(err, res) {
+                    should(res).equal('a,b');
+                    mcCodec.get(key, function(err, res) {
+                        should(res).eql(['a', 'b']);
+                        res.push('c');
+                        mcCodec.get(key, function(err, res) {
+                            should(res).eql(['a', 'b']);
+                            var stats = mcCodec.getCacheStats();
+                            should(stats.decodes).equal(1);
+                            should(stats.decodedCache.entries).equal(1);
+                            should(stats.jsonParses).equal(0);
+                            should(stats.jsonCache.entries).equal(0);
+                            cb(err);
+                        });
+                    });
+                });
+            });
+        });
+        it('should encode MSET values per path and return decoded objects by reference', function(cb) {
+            var keys = [getKey(['codec', 'ref', 'key1']), getKey(['codec', 'upper', 'key1'])];
+            mcCodec.mset(keys[0], ['x', 'y'], keys[1], {s: 'abc'}, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                redis2.mget(keys, function(err, res) {
+                    should(res).eql(['x,y', 'ABC']);
+                    mcCodec.mget(keys, function(err, first) {
+                        should(first).eql([['x', 'y'], {s: 'abc'}]);
+                        mcCodec.mget(keys, function(err, second) {
+                            should(second[0]).equal(first[0]);
+                            should(second[1]).not.equal(first[1]);
+                            cb(err);
+                        });
+                    });
+                });
+            });
+        });
+        it('should encode the values of transactions', function(cb) {
+            var key = getKey(['codec', 'key2']);
+            mcCodec.multi([['set', key, ['m', 'n']]]).set(getKey(['codec', 'key3']), ['o']).exec(function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                redis2.mget(key, getKey(['codec', 'key3']), function(err, res) {
+                    should(res).eql(['m,n', 'o']);
+                    cb(err);
+                });
+            });
+        });
+        it('should use the codec read option', function(cb) {
+            var key = getKey(['codec', 'upper', 'key2']);
+            mcCodec.set(key, {s: 'a,b'}, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mcCodec.get(key, {codec: false}, function(err, res) {
+                    should(res).equal('A,B');
+                    mcCodec.get(key, {codec: 'list'}, function(err, res) {
+                        should(res).eql(['A', 'B']);
+                        mcCodec.get(key, function(err, res) {
+                            should(res).eql({s: 'a,b'});
+                            should(mcCodec.getCacheStats().decodes).equal(2);
+                            cb(err);
+                        });
+                    });
+                });
+            });
+        });
+        it('should not encode values on paths without codec', function(cb) {
+            var key = getKey(['codec', 'raw', 'key1']);
+            mcCodec.set(key, 'c,d', function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mcCodec.get(key, function(err, res) {
+                    should(res).equal('c,d');
+                    should(mcCodec.getCacheStats().decodes).equal(0);
+                    cb(err);
+                });
+            });
+        });
+        it('should return an error for an unknown codec read option', function(cb) {
+            mcCodec.get(getKey(['codec', 'key1']), {codec: 'unknown'}, function(err) {
+                should(err.message).match(/Unknown codec/);
+                cb();
+            });
+        });
+        it('should round-trip binary values with Buffer keys', function(cb) {
+            var key = getKey(['codec', 'bytes', 'key1']);
+            var mcBuffers = new RedisMemcacheClient(redis.createClient(port, host, {detect_buffers: true}),
+                redis.createClient(port, host), {dirtyKeyPublishDelay: 0}, function(err) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    // Encodes arrays of bytes as buffers.
+                    mcBuffers.registerCodec('bytes', {
+                        encode: function(value) {
+                            return Buffer.from(value);
+                        },
+                        decode: function(value) {
+                            return Array.from(value);
+                        }
+                    });
+                    mcBuffers.setCachePath(getPath(['codec', 'bytes']), {enabled: true, codec: 'bytes'});
+                    mcBuffers.set(key, [0, 200, 255], function(err) {
+                        if (err) {
+                            return cb(err);
+                        }
+                        mcBuffers.get(Buffer.from(key), function(err, res) {
+                            should(res).eql([0, 200, 255]);
+                            mcBuffers.mget([Buffer.from(key)], function(err, res) {
+                                should(res).eql([[0, 200, 255]]);
+                                cb(err);
+                            });
+                        });
+                    });
+                });
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('cache events', function() {
+        var mcEvents1, mcEvents2;
+        var events;
+
+        /**
+         * Records the key events of the client.
+         * @param mcClient
+         */
+        var recordEvents = function(mcClient) {
+            _.each(['hit', 'miss', 'set', 'invalidate', 'evict'], function(name) {
+                mcClient.cacheEvents.on(name, function(info) {
+                    events.push(_.assign({event: name}, info));
+                });
+            });
+        };
+
+        before(function(done) {
+            var options = {dirtyKeyPublishDelay: 0, maxEntries: 2, paths: [{path: getPath(['events']), enabled: true}]};
+            mcEvents1 = new RedisMemcacheClient(redis.createClient(port, host), redis.createClient(port, host), options,
+                function(err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    mcEvents2 = new RedisMemcacheClient(redis.createClient(port, host), redis.createClient(port, host),
+                        options, done);
+                });
+            recordEvents(mcEvents1);
+        });
+
+        beforeEach(function() {
+            events = [];
+        });
+
+        it('should emit miss, set and hit events', function(cb) {
+            var key = getKey(['events', 'key1']);
+            mcEvents1.get(key, function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                mcEvents1.get(key, function(err) {
+                    // The fetched value is cached before the miss is reported.
+                    should(events).eql([{event: 'set', key: key}, {event: 'miss', key: key}, {event: 'hit', key: key}]);
+                    cb(err);
+                });
+            });
+        });
+        it('should emit invalidate events with the origin', function(cb) {
+            var key = getKey(['events', 'key1']);
+            mcEvents1.setDirty(key);
+            should(events).eql([{event: 'invalidate', key: key, origin: 'local'}]);
+            events = [];
+            mcEvents2.set(key, "a", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                setTimeout(function() {
+                    should(events).eql([{event: 'invalidate', key: key, origin: 'remote'}]);
+                    cb();
+                }, 50);
+            });
+        });
+        it('should emit evict events', function(cb) {
+            var keys = [getKey(['events', 'key1']), getKey(['events', 'key2']), getKey(['events', 'key3'])];
+            mcEvents1.mget(keys, function(err) {
+                should(_.filter(events, {event: 'evict'}).length).equal(1);
+                cb(err);
+            });
+        });
+
+        after(function(done) {
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
+    describe('dirty key escaping', function() {
+        before(function() {
+            mcRedis1.setCachePath(getPath(['escaped']), true);
+            mcRedis2.setCachePath(getPath(['escaped']), true);
+        });
+
+        it('should invalidate keys that contain tabs, newlines and percent signs', function(cb) {
+            var keys = [getKey(['escaped', 'key1\tH\tfield1']), getKey(['escaped', 'key2\n%09'])];
+            async.series([
+                function(cb) {redis1.mset(keys[0], "a", keys[1], "a", cb);},
+                function(cb) {shouldMget(mcRedis2, _.zipObject(keys, ["a", "a"]), cb);},
+                function(cb) {mcRedis1.mset(keys[0], "b", keys[1], "b", cb);},
+                function(cb) {setTimeout(cb, 200);},
+                function(cb) {
+                    should(mcRedis2.isCached(keys[0])).equal(false);
+                    should(mcRedis2.isCached(keys[1])).equal(false);
+                    shouldMget(mcRedis2, _.zipObject(keys, ["b", "b"]), cb);
+                }
+            ], cb);
+        });
+        it('should not read a key as a control line', function(cb) {
+            mcRedis1.setCachePath([], true);
+            mcRedis2.setCachePath([], true);
+            var paths = mcRedis2.exportCachePaths();
+            mcRedis1.del("\tR", function(err) {
+                if (err) {
+                    return cb(err);
+                }
+                setTimeout(function() {
+                    should(mcRedis2.exportCachePaths()).eql(paths);
+                    cb();
+                }, 200);
+            });
+        });
+
+        after(function(done) {
+            mcRedis1.resetCachePaths();
+            mcRedis2.resetCachePaths();
+            setTimeout(function() {
+                mcRedis1.resetCacheStats();
+                mcRedis2.resetCacheStats();
+                clearRedisTestKeys(done);
+            }, 200);
+        });
+    });
+
 });
\ No newline at end of file